@@ -0,0 +1,265 @@
+/**
+ * Artist View Module
+ * Renders an artist page: biography, discography, top songs and similar artists
+ */
+
+// Constants
+const RELEASE_TYPE_ORDER = ['Album', 'EP', 'Single', 'Compilation', 'Live'];
+const RELEASE_TYPE_TITLES = {
+    album: 'Albums',
+    ep: 'EPs',
+    single: 'Singles',
+    compilation: 'Compilations',
+    live: 'Live'
+};
+
+/**
+ * Turn a biography (HTML from Last.fm and similar) into plain text
+ * The trailing "Read more" link is dropped; the page links the source itself.
+ * @param {string} html
+ * @returns {string}
+ */
+export function biographyText(html) {
+    if (!html) return '';
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    doc.querySelectorAll('a').forEach(link => link.remove());
+    return doc.body.textContent.trim();
+}
+
+/**
+ * Group albums by release type (OpenSubsonic releaseTypes), oldest first
+ * @param {Array<Object>} albums
+ * @returns {Array<{type: string, albums: Array}>}
+ */
+export function groupByReleaseType(albums) {
+    const groups = new Map();
+    albums.forEach(album => {
+        const type = album.releaseTypes?.[0] || (album.isCompilation ? 'Compilation' : 'Album');
+        if (!groups.has(type)) groups.set(type, []);
+        groups.get(type).push(album);
+    });
+
+    const rank = type => {
+        const index = RELEASE_TYPE_ORDER.findIndex(t => t.toLowerCase() === type.toLowerCase());
+        return index < 0 ? RELEASE_TYPE_ORDER.length : index;
+    };
+    return [...groups.entries()]
+        .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+        .map(([type, list]) => ({
+            type,
+            albums: list.sort((a, b) => (a.year || 0) - (b.year || 0))
+        }));
+}
+
+export class ArtistView {
+    /**
+     * Create an artist view
+     * @param {HTMLElement} container - Element to render into
+     */
+    constructor(container) {
+        this.container = container;
+        this.artist = null;
+
+        // Event callbacks
+        this.onOpenArtist = null;   // (artistId)
+        this.onOpenAlbum = null;    // (albumId)
+        this.onPlaySongs = null;    // (songs, index)
+        this.onQueueSongs = null;   // (songs)
+        this.onPlaySimilar = null;  // (artist)
+        this.onStartRadio = null;   // (artist)
+    }
+
+    /**
+     * Show a status message instead of an artist
+     * @param {string} message
+     */
+    showMessage(message) {
+        this.artist = null;
+        this.container.innerHTML = '';
+        this.container.appendChild(this._element('div', 'artist-message', message));
+    }
+
+    /**
+     * Display an artist
+     * @param {Object} page - Page contents
+     * @param {Object} page.artist - Artist with its albums (getArtist)
+     * @param {Object} page.info - Artist info (getArtistInfo2), may be null
+     * @param {Array<Object>} page.topSongs - Top songs
+     * @param {string} page.imageUrl - Artist image URL (optional)
+     * @param {Map<string, string>} page.covers - Album ID -> cover URL
+     */
+    render({ artist, info, topSongs, imageUrl, covers }) {
+        this.artist = artist;
+        this.container.innerHTML = '';
+        this.container.scrollTop = 0;
+
+        this.container.appendChild(this._renderHeader(artist, info, imageUrl));
+
+        if (topSongs.length > 0) {
+            this.container.appendChild(this._renderTopSongs(topSongs));
+        }
+
+        groupByReleaseType(artist.album || []).forEach(({ type, albums }) => {
+            this.container.appendChild(this._renderAlbums(type, albums, covers));
+        });
+
+        const similar = info?.similarArtist || [];
+        if (similar.length > 0) {
+            this.container.appendChild(this._renderSimilar(similar));
+        }
+    }
+
+    /**
+     * Render the image, name, biography and actions
+     */
+    _renderHeader(artist, info, imageUrl) {
+        const header = this._element('div', 'artist-header');
+
+        if (imageUrl) {
+            const img = document.createElement('img');
+            img.className = 'artist-image';
+            img.src = imageUrl;
+            img.alt = artist.name;
+            header.appendChild(img);
+        }
+
+        const details = this._element('div', 'artist-details');
+        details.appendChild(this._element('h2', 'artist-name', artist.name));
+
+        const albumCount = artist.albumCount ?? artist.album?.length ?? 0;
+        details.appendChild(this._element('div', 'artist-meta',
+            `${albumCount} album${albumCount === 1 ? '' : 's'}`));
+
+        const bio = biographyText(info?.biography);
+        if (bio) details.appendChild(this._element('p', 'artist-bio', bio));
+
+        if (info?.lastFmUrl) {
+            const link = this._element('a', 'artist-link', 'Read more on Last.fm');
+            link.href = info.lastFmUrl;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            details.appendChild(link);
+        }
+
+        const actions = this._element('div', 'artist-actions');
+        actions.appendChild(this._button('Play similar songs', () => this.onPlaySimilar?.(artist)));
+        actions.appendChild(this._button('Start radio', () => this.onStartRadio?.(artist)));
+        details.appendChild(actions);
+
+        header.appendChild(details);
+        return header;
+    }
+
+    /**
+     * Render the top songs with play and queue actions
+     */
+    _renderTopSongs(songs) {
+        const section = this._section('Top songs');
+        const actions = this._element('div', 'artist-actions');
+        actions.appendChild(this._button('Play all', () => this.onPlaySongs?.(songs, 0)));
+        actions.appendChild(this._button('Queue all', () => this.onQueueSongs?.(songs)));
+        section.appendChild(actions);
+
+        const list = this._element('ol', 'artist-top-songs');
+        songs.forEach((song, index) => {
+            const item = document.createElement('li');
+            item.title = 'Double-click to play';
+            item.appendChild(this._element('span', 'top-song-title', song.title));
+            item.appendChild(this._element('span', 'top-song-album', song.album || ''));
+            item.appendChild(this._button('+', () => this.onQueueSongs?.([song]), 'Add to queue'));
+            item.addEventListener('dblclick', (e) => {
+                if (e.target.closest('button')) return;
+                this.onPlaySongs?.(songs, index);
+            });
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+        return section;
+    }
+
+    /**
+     * Render one release type of the discography
+     */
+    _renderAlbums(type, albums, covers) {
+        const section = this._section(RELEASE_TYPE_TITLES[type.toLowerCase()] || type);
+        const grid = this._element('div', 'artist-albums');
+
+        albums.forEach(album => {
+            const card = this._element('div', 'artist-album');
+            card.title = album.name;
+            const cover = this._element('div', 'cover-wrapper');
+            const url = covers.get(album.id);
+            if (url) {
+                const img = document.createElement('img');
+                img.src = url;
+                img.alt = album.name;
+                img.loading = 'lazy';
+                cover.appendChild(img);
+            }
+            card.appendChild(cover);
+            card.appendChild(this._element('div', 'artist-album-name', album.name || 'Unknown Album'));
+            if (album.year) card.appendChild(this._element('div', 'artist-album-year', String(album.year)));
+            card.addEventListener('click', () => this.onOpenAlbum?.(album.id));
+            grid.appendChild(card);
+        });
+
+        section.appendChild(grid);
+        return section;
+    }
+
+    /**
+     * Render similar artists; those in the library link to their page
+     */
+    _renderSimilar(artists) {
+        const section = this._section('Similar artists');
+        const list = this._element('div', 'artist-similar');
+
+        artists.forEach(similar => {
+            if (similar.id) {
+                const link = this._element('a', 'artist-similar-link', similar.name);
+                link.href = '#';
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.onOpenArtist?.(similar.id);
+                });
+                list.appendChild(link);
+            } else {
+                list.appendChild(this._element('span', 'artist-similar-missing', similar.name));
+            }
+        });
+
+        section.appendChild(list);
+        return section;
+    }
+
+    /**
+     * Create a titled section
+     */
+    _section(title) {
+        const section = this._element('section', 'artist-section');
+        section.appendChild(this._element('h3', '', title));
+        return section;
+    }
+
+    /**
+     * Create a button
+     */
+    _button(label, action, title = '') {
+        const button = this._element('button', 'artist-button', label);
+        if (title) button.title = title;
+        button.addEventListener('click', action);
+        return button;
+    }
+
+    /**
+     * Create an element with a class and text
+     */
+    _element(tag, className, text = '') {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text) el.textContent = text;
+        return el;
+    }
+}
+
+export default ArtistView;
@@ -0,0 +1,111 @@
+/**
+ * Context Menu Module
+ * Renders popup menus for the tree, playlist and menu bar
+ */
+
+export class ContextMenu {
+    constructor() {
+        this.element = null;
+
+        this._onPointerDown = (e) => {
+            if (this.element && !this.element.contains(e.target)) this.hide();
+        };
+        this._onKeyDown = (e) => {
+            if (e.key === 'Escape') this.hide();
+        };
+    }
+
+    /**
+     * Show a menu at the given position
+     * @param {number} x - Page X coordinate
+     * @param {number} y - Page Y coordinate
+     * @param {Array<Object>} items - Menu items
+     *   { label, action, disabled, checked, items } or { separator: true }
+     */
+    show(x, y, items) {
+        this.hide();
+        if (items.length === 0) return;
+
+        this.element = this._buildMenu(items);
+        this.element.style.left = `${x}px`;
+        this.element.style.top = `${y}px`;
+        document.body.appendChild(this.element);
+
+        // Keep the menu inside the viewport
+        const rect = this.element.getBoundingClientRect();
+        if (rect.right > window.innerWidth) {
+            this.element.style.left = `${Math.max(0, window.innerWidth - rect.width)}px`;
+        }
+        if (rect.bottom > window.innerHeight) {
+            this.element.style.top = `${Math.max(0, window.innerHeight - rect.height)}px`;
+        }
+
+        document.addEventListener('mousedown', this._onPointerDown);
+        document.addEventListener('keydown', this._onKeyDown);
+    }
+
+    /**
+     * Show a menu below an element (used by the menu bar)
+     * @param {HTMLElement} anchor
+     * @param {Array<Object>} items
+     */
+    showBelow(anchor, items) {
+        const rect = anchor.getBoundingClientRect();
+        this.show(rect.left, rect.bottom, items);
+    }
+
+    /**
+     * Hide the menu
+     */
+    hide() {
+        if (!this.element) return;
+        this.element.remove();
+        this.element = null;
+        document.removeEventListener('mousedown', this._onPointerDown);
+        document.removeEventListener('keydown', this._onKeyDown);
+    }
+
+    /**
+     * Build the menu element
+     * @param {Array<Object>} items
+     * @returns {HTMLElement}
+     */
+    _buildMenu(items) {
+        const menu = document.createElement('ul');
+        menu.className = 'context-menu';
+
+        items.forEach(item => {
+            const li = document.createElement('li');
+
+            if (item.separator) {
+                li.className = 'separator';
+                menu.appendChild(li);
+                return;
+            }
+
+            li.textContent = item.label;
+            if (item.checked) li.classList.add('checked');
+
+            if (item.disabled) {
+                li.classList.add('disabled');
+            } else if (item.items) {
+                li.classList.add('has-submenu');
+                const submenu = this._buildMenu(item.items);
+                submenu.classList.add('submenu');
+                li.appendChild(submenu);
+            } else {
+                li.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.hide();
+                    item.action?.();
+                });
+            }
+
+            menu.appendChild(li);
+        });
+
+        return menu;
+    }
+}
+
+export default ContextMenu;
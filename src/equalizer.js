@@ -0,0 +1,228 @@
+/**
+ * Equalizer Module
+ * Ten-band parametric equalizer built from BiquadFilter nodes, with a
+ * pre-amp, presets and the frequency response of the current settings
+ */
+
+// Constants
+export const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const EQ_GAIN_RANGE = 12; // Band and pre-amp gains are limited to +/- this many dB
+const DEFAULT_Q = 1.41; // About one octave wide, so neighbouring bands meet
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 20000;
+const MIN_Q = 0.1;
+const MAX_Q = 18;
+
+// Band gains of the built-in presets, low to high
+const BUILT_IN_GAINS = {
+    'Flat': { preamp: 0, gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+    'Bass Boost': { preamp: -4, gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+    'Treble Boost': { preamp: -4, gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+    'Loudness': { preamp: -4, gains: [5, 4, 2, 0, -1, 0, 0, 1, 3, 4] },
+    'Vocal': { preamp: -2, gains: [-2, -2, -1, 1, 3, 3, 2, 1, 0, -1] },
+    'Rock': { preamp: -3, gains: [4, 3, 2, 0, -1, -1, 1, 2, 3, 3] },
+    'Classical': { preamp: 0, gains: [3, 2, 1, 0, 0, 0, -1, -1, 0, 1] },
+    'Electronic': { preamp: -3, gains: [4, 4, 1, 0, -2, 1, 0, 1, 3, 4] }
+};
+
+/**
+ * Clamp a number to a range, using a default for anything not a number
+ * @param {*} value
+ * @param {number} min
+ * @param {number} max
+ * @param {number} fallback
+ * @returns {number}
+ */
+function clamp(value, min, max, fallback) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+/**
+ * Get the bands of a flat equalizer
+ * @returns {Array<Object>} [{ frequency, gain, q }]
+ */
+export function flatBands() {
+    return EQ_FREQUENCIES.map(frequency => ({ frequency, gain: 0, q: DEFAULT_Q }));
+}
+
+export const BUILT_IN_PRESETS = Object.entries(BUILT_IN_GAINS).map(([name, { preamp, gains }]) => ({
+    name,
+    preamp,
+    bands: flatBands().map((band, i) => ({ ...band, gain: gains[i] }))
+}));
+
+/**
+ * Check and clean up a preset, e.g. one read from an imported file
+ * @param {Object} data - { name, preamp, bands: [{ frequency, gain, q }] }
+ * @returns {Object} Preset with every value in range
+ * @throws {Error} If it is not an equalizer preset
+ */
+export function parsePreset(data) {
+    if (typeof data?.name !== 'string' || !data.name.trim() ||
+            !Array.isArray(data.bands) || data.bands.length !== EQ_FREQUENCIES.length) {
+        throw new Error('Not an equalizer preset');
+    }
+    const defaults = flatBands();
+    return {
+        name: data.name.trim(),
+        preamp: clamp(data.preamp, -EQ_GAIN_RANGE, EQ_GAIN_RANGE, 0),
+        bands: data.bands.map((band, i) => ({
+            frequency: clamp(band?.frequency, MIN_FREQUENCY, MAX_FREQUENCY, defaults[i].frequency),
+            gain: clamp(band?.gain, -EQ_GAIN_RANGE, EQ_GAIN_RANGE, 0),
+            q: clamp(band?.q, MIN_Q, MAX_Q, DEFAULT_Q)
+        }))
+    };
+}
+
+export class Equalizer {
+    /**
+     * Create an equalizer
+     * Settings can be changed before it is attached to an audio context.
+     */
+    constructor() {
+        this.enabled = false;
+        this.preamp = 0; // dB
+        this.bands = flatBands();
+        this.preset = null; // Name of the applied preset, null once edited
+        this.input = null;
+        this.filters = [];
+    }
+
+    /**
+     * Build the filter chain in an audio context
+     * The lowest band is a low shelf and the highest a high shelf; those
+     * ignore their Q.
+     * @param {BaseAudioContext} audioContext
+     * @returns {{input: AudioNode, output: AudioNode}} Ends of the chain
+     */
+    attach(audioContext) {
+        this.input = audioContext.createGain();
+        this.filters = this.bands.map((band, i) => {
+            const filter = audioContext.createBiquadFilter();
+            filter.type = i === 0 ? 'lowshelf' : i === this.bands.length - 1 ? 'highshelf' : 'peaking';
+            return filter;
+        });
+        this.filters.reduce((previous, filter) => {
+            previous.connect(filter);
+            return filter;
+        }, this.input);
+        this._update();
+        return { input: this.input, output: this.filters[this.filters.length - 1] };
+    }
+
+    /**
+     * Push the settings to the filter nodes
+     * A disabled equalizer stays in the chain with all gains at 0 dB.
+     */
+    _update() {
+        if (!this.input) return;
+        this.input.gain.value = this.enabled ? Math.pow(10, this.preamp / 20) : 1;
+        this.filters.forEach((filter, i) => {
+            const band = this.bands[i];
+            filter.frequency.value = band.frequency;
+            filter.Q.value = band.q;
+            filter.gain.value = this.enabled ? band.gain : 0;
+        });
+    }
+
+    /**
+     * Switch the equalizer on or off
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this._update();
+    }
+
+    /**
+     * Set the pre-amp
+     * @param {number} db
+     */
+    setPreamp(db) {
+        this.preamp = clamp(db, -EQ_GAIN_RANGE, EQ_GAIN_RANGE, 0);
+        this.preset = null;
+        this._update();
+    }
+
+    /**
+     * Change one band
+     * @param {number} index - Band index
+     * @param {Object} changes - Any of { frequency, gain, q }
+     */
+    setBand(index, changes) {
+        const band = { ...this.bands[index], ...changes };
+        this.bands[index] = {
+            frequency: clamp(band.frequency, MIN_FREQUENCY, MAX_FREQUENCY, EQ_FREQUENCIES[index]),
+            gain: clamp(band.gain, -EQ_GAIN_RANGE, EQ_GAIN_RANGE, 0),
+            q: clamp(band.q, MIN_Q, MAX_Q, DEFAULT_Q)
+        };
+        this.preset = null;
+        this._update();
+    }
+
+    /**
+     * Take over the pre-amp and bands of a preset
+     * @param {Object} preset - See parsePreset()
+     */
+    applyPreset(preset) {
+        const { name, preamp, bands } = parsePreset(preset);
+        this.preamp = preamp;
+        this.bands = bands;
+        this.preset = name;
+        this._update();
+    }
+
+    /**
+     * Get the current settings
+     * @returns {Object} { enabled, preamp, bands, preset } - safe to store
+     */
+    getSettings() {
+        return {
+            enabled: this.enabled,
+            preamp: this.preamp,
+            bands: this.bands.map(band => ({ ...band })),
+            preset: this.preset
+        };
+    }
+
+    /**
+     * Restore stored settings (anything invalid resets to flat)
+     * @param {Object|null} settings - Output of getSettings()
+     */
+    load(settings) {
+        this.enabled = Boolean(settings?.enabled);
+        try {
+            const { preamp, bands } = parsePreset({ ...settings, name: settings?.preset || 'Custom' });
+            this.preamp = preamp;
+            this.bands = bands;
+            this.preset = settings.preset || null;
+        } catch {
+            this.preamp = 0;
+            this.bands = flatBands();
+            this.preset = null;
+        }
+        this._update();
+    }
+
+    /**
+     * Get the response of the whole equalizer, pre-amp included
+     * @param {Float32Array} frequencies - Frequencies in Hz
+     * @returns {Float32Array|null} Gain in dB per frequency, null until attached
+     */
+    getResponse(frequencies) {
+        if (!this.input) return null;
+        const response = new Float32Array(frequencies.length).fill(this.enabled ? this.preamp : 0);
+        const magnitude = new Float32Array(frequencies.length);
+        const phase = new Float32Array(frequencies.length);
+        this.filters.forEach(filter => {
+            filter.getFrequencyResponse(frequencies, magnitude, phase);
+            magnitude.forEach((value, i) => {
+                response[i] += 20 * Math.log10(value);
+            });
+        });
+        return response;
+    }
+}
+
+export default Equalizer;
@@ -0,0 +1,345 @@
+/**
+ * Gapless Module
+ * Decodes tracks into AudioBuffers that can be started on the audio clock,
+ * so one track begins on exactly the sample where the previous one ends
+ *
+ * Lossy encoders add silence at both ends of a file. The amounts are
+ * declared in the file itself: MP3 encoders write them to the LAME tag of
+ * the first frame, AAC encoders to an iTunSMPB tag. Browsers differ in
+ * whether decodeAudioData removes that silence, so the decoded length is
+ * compared with the declared one and only untrimmed buffers are cut.
+ * Opus, Vorbis and FLAC need nothing: their decoders know the exact length.
+ */
+
+// Constants
+const MP3_DECODER_DELAY = 529; // Samples every MP3 decoder adds on top of the encoder delay
+const AAC_FRAME_SIZE = 1024; // Samples per AAC frame
+const TIME_UPDATE_INTERVAL_MS = 250; // How often a playing decoded track reports its position
+const MP3_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG 1
+    2: [22050, 24000, 16000], // MPEG 2
+    0: [11025, 12000, 8000] // MPEG 2.5
+};
+
+/**
+ * Find where the first MP3 frame starts, after any ID3v2 tag
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function firstFrameOffset(bytes) {
+    if (bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) return 0; // "ID3"
+    const size = ((bytes[6] & 0x7f) << 21) | ((bytes[7] & 0x7f) << 14) | ((bytes[8] & 0x7f) << 7) | (bytes[9] & 0x7f);
+    const footer = bytes[5] & 0x10 ? 10 : 0;
+    return 10 + size + footer;
+}
+
+/**
+ * Read the gapless info from the LAME tag of an MP3 file
+ * @param {Uint8Array} bytes
+ * @returns {Object|null} See readGaplessInfo()
+ */
+function readLameTag(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const frame = firstFrameOffset(bytes);
+    if (frame + 4 > bytes.length || bytes[frame] !== 0xff || (bytes[frame + 1] & 0xe0) !== 0xe0) return null;
+
+    const version = (bytes[frame + 1] >> 3) & 3;
+    const layer = (bytes[frame + 1] >> 1) & 3;
+    const sampleRate = MP3_SAMPLE_RATES[version]?.[(bytes[frame + 2] >> 2) & 3];
+    if (layer !== 1 || !sampleRate) return null; // Layer III only
+
+    const mono = (bytes[frame + 3] >> 6) === 3;
+    const sideInfo = version === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    let offset = frame + 4 + sideInfo;
+    if (offset + 8 > bytes.length) return null;
+    const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (id !== 'Xing' && id !== 'Info') return null;
+
+    const flags = view.getUint32(offset + 4);
+    if (!(flags & 1)) return null; // Without a frame count the length is unknown
+    const frames = view.getUint32(offset + 8);
+    offset += 12;
+    if (flags & 2) offset += 4; // Byte count
+    if (flags & 4) offset += 100; // Seek table
+    if (flags & 8) offset += 4; // Quality
+    if (offset + 24 > bytes.length) return null;
+
+    const encoder = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (!['LAME', 'Lavf', 'Lavc'].includes(encoder)) return null;
+    const delay = (bytes[offset + 21] << 4) | (bytes[offset + 22] >> 4);
+    const padding = ((bytes[offset + 22] & 0x0f) << 8) | bytes[offset + 23];
+
+    const frameSize = version === 3 ? 1152 : 576;
+    const total = frames * frameSize;
+    return {
+        skip: delay + MP3_DECODER_DELAY,
+        length: total - delay - padding,
+        total,
+        frameSize,
+        sampleRate
+    };
+}
+
+/**
+ * Find a byte sequence
+ * @param {Uint8Array} bytes
+ * @param {string} text - ASCII text to look for
+ * @returns {number} Offset, or -1
+ */
+function indexOfText(bytes, text) {
+    const first = text.charCodeAt(0);
+    for (let i = bytes.indexOf(first); i >= 0 && i <= bytes.length - text.length; i = bytes.indexOf(first, i + 1)) {
+        let j = 1;
+        while (j < text.length && bytes[i + j] === text.charCodeAt(j)) j++;
+        if (j === text.length) return i;
+    }
+    return -1;
+}
+
+/**
+ * Read the gapless info from the iTunSMPB tag of an MP4 file
+ * The tag holds hex numbers: a reserved field, the encoder delay, the
+ * padding and the original sample count.
+ * @param {Uint8Array} bytes
+ * @returns {Object|null} See readGaplessInfo(); without a sample rate
+ */
+function readITunSmpb(bytes) {
+    const offset = indexOfText(bytes, 'iTunSMPB');
+    if (offset < 0) return null;
+    const text = String.fromCharCode(...bytes.subarray(offset, offset + 256));
+    const match = text.match(/ [0-9a-f]{8} ([0-9a-f]{8}) ([0-9a-f]{8}) ([0-9a-f]{16})/i);
+    if (!match) return null;
+
+    const [delay, padding, length] = match.slice(1).map(hex => parseInt(hex, 16));
+    if (length <= 0) return null;
+    return { skip: delay, length, total: delay + length + padding, frameSize: AAC_FRAME_SIZE, sampleRate: null };
+}
+
+/**
+ * Read the encoder delay and padding a file declares
+ * @param {ArrayBuffer} data - Whole file
+ * @returns {Object|null} { skip, length, total, frameSize, sampleRate } in
+ *   samples of the file: leading samples to drop, samples to keep, samples
+ *   of an untrimmed decode; null if the file declares nothing
+ */
+export function readGaplessInfo(data) {
+    const bytes = new Uint8Array(data);
+    const isMp4 = String.fromCharCode(...bytes.subarray(4, 8)) === 'ftyp';
+    return isMp4 ? readITunSmpb(bytes) : readLameTag(bytes);
+}
+
+/**
+ * Cut the encoder delay and padding from a decoded buffer
+ * Buffers the decoder already trimmed, and buffers whose length matches
+ * neither form, are returned as they are.
+ * @param {BaseAudioContext} context
+ * @param {AudioBuffer} buffer - Decoded at the context's sample rate
+ * @param {Object} info - Output of readGaplessInfo()
+ * @param {number|null} sampleRate - Sample rate of the file, if the info has none
+ * @returns {AudioBuffer}
+ */
+export function trimBuffer(context, buffer, info, sampleRate = null) {
+    const rate = info.sampleRate || sampleRate;
+    if (!rate) return buffer;
+
+    const scale = buffer.sampleRate / rate;
+    const tolerance = (info.frameSize * scale) / 2;
+    const length = Math.round(info.length * scale);
+    if (Math.abs(buffer.length - length) <= tolerance) return buffer;
+
+    // Some decoders also output the MP3 info frame as a frame of silence
+    const extra = buffer.length - Math.round(info.total * scale);
+    if (extra < -tolerance || extra > info.frameSize * scale + tolerance) return buffer;
+    const start = Math.round(info.skip * scale) + (extra > tolerance ? extra : 0);
+
+    const trimmed = context.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        trimmed.copyToChannel(buffer.getChannelData(channel).subarray(start, start + length), channel);
+    }
+    return trimmed;
+}
+
+/**
+ * Download and decode a track
+ * @param {BaseAudioContext} context
+ * @param {string} url - Stream URL
+ * @param {Object} options
+ * @param {AbortSignal} options.signal
+ * @param {number|null} options.sampleRate - Sample rate the server reports for the file
+ * @returns {Promise<AudioBuffer>} Without encoder delay and padding
+ */
+export async function decodeTrack(context, url, { signal, sampleRate = null } = {}) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+    const data = await response.arrayBuffer();
+    // decodeAudioData takes the data over, so read the tags first
+    const info = readGaplessInfo(data);
+    const buffer = await context.decodeAudioData(data);
+    signal?.throwIfAborted();
+    return info ? trimBuffer(context, buffer, info, sampleRate) : buffer;
+}
+
+/**
+ * A decoded track with the transport of an audio element
+ * paused, ended, currentTime, duration, volume, muted, play() and pause()
+ * behave as they do on an <audio> element, except that play() takes the
+ * audio clock time to start at.
+ */
+export class DecodedTrack {
+    /**
+     * @param {BaseAudioContext} context
+     * @param {AudioBuffer} buffer
+     */
+    constructor(context, buffer) {
+        this.context = context;
+        this.buffer = buffer;
+        this.source = null;
+        this.startedAt = 0; // Audio clock time at which `offset` plays
+        this.offset = 0; // Position in seconds when not playing
+        this.timeUpdateId = null;
+        this._volume = 1;
+        this._muted = false;
+        this.output = context.createGain();
+
+        // Event callbacks
+        this.onPlay = null;
+        this.onPause = null; // Also at the end, like the element's pause event
+        this.onEnded = null;
+        this.onTimeUpdate = null;
+    }
+
+    get duration() {
+        return this.buffer.duration;
+    }
+
+    get paused() {
+        return !this.source;
+    }
+
+    get ended() {
+        return !this.source && this.offset >= this.duration;
+    }
+
+    get currentTime() {
+        if (!this.source) return this.offset;
+        const elapsed = Math.max(0, this.context.currentTime - this.startedAt);
+        return Math.min(this.duration, this.offset + elapsed);
+    }
+
+    set currentTime(time) {
+        const playing = !this.paused;
+        this._stopSource();
+        this.offset = Math.max(0, Math.min(this.duration, time));
+        if (playing) this._startSource(this.context.currentTime);
+    }
+
+    /**
+     * Audio clock time at which playback runs out (only while playing)
+     * @returns {number}
+     */
+    get endTime() {
+        return this.startedAt + this.duration - this.offset;
+    }
+
+    get volume() {
+        return this._volume;
+    }
+
+    set volume(volume) {
+        this._volume = volume;
+        this._applyVolume();
+    }
+
+    get muted() {
+        return this._muted;
+    }
+
+    set muted(muted) {
+        this._muted = muted;
+        this._applyVolume();
+    }
+
+    /**
+     * Push volume and mute to the output gain
+     */
+    _applyVolume() {
+        this.output.gain.value = this._muted ? 0 : this._volume;
+    }
+
+    /**
+     * Connect the output
+     * @param {AudioNode} destination
+     */
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    /**
+     * Disconnect the output and stop
+     */
+    disconnect() {
+        this._stopSource();
+        this.output.disconnect();
+    }
+
+    /**
+     * Start playing from the current position
+     * @param {number} when - Audio clock time to start at (default now)
+     * @returns {Promise<void>}
+     */
+    play(when = this.context.currentTime) {
+        if (this.source) return Promise.resolve();
+        if (this.ended) this.offset = 0;
+        this._startSource(when);
+        if (this.onPlay) this.onPlay();
+        return Promise.resolve();
+    }
+
+    /**
+     * Pause at the current position
+     */
+    pause() {
+        if (!this.source) return;
+        this._stopSource();
+        if (this.onPause) this.onPause();
+    }
+
+    /**
+     * Start a buffer source at the current position
+     * @param {number} when - Audio clock time
+     */
+    _startSource(when) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.buffer;
+        source.connect(this.output);
+        source.onended = () => {
+            if (source !== this.source) return;
+            this.source = null;
+            this.offset = this.duration;
+            clearInterval(this.timeUpdateId);
+            if (this.onPause) this.onPause();
+            if (this.onEnded) this.onEnded();
+        };
+        source.start(when, this.offset);
+        this.source = source;
+        this.startedAt = when;
+        this.timeUpdateId = setInterval(() => {
+            if (this.onTimeUpdate && this.context.currentTime >= this.startedAt) this.onTimeUpdate();
+        }, TIME_UPDATE_INTERVAL_MS);
+    }
+
+    /**
+     * Stop the buffer source, keeping the position it reached
+     */
+    _stopSource() {
+        const source = this.source;
+        if (!source) return;
+        this.offset = this.currentTime;
+        this.source = null;
+        clearInterval(this.timeUpdateId);
+        source.stop();
+        source.disconnect();
+    }
+}
+
+export default DecodedTrack;
@@ -0,0 +1,124 @@
+/**
+ * ICY Metadata Module
+ * Reads "now playing" titles from Shoutcast/Icecast streams
+ *
+ * The <audio> element never exposes in-band ICY metadata, so the reader
+ * opens its own connection with the Icy-MetaData header and skips the
+ * audio bytes. This only works for stations that allow CORS and expose
+ * the icy-metaint header; other stations simply get no titles.
+ */
+
+/**
+ * Extract the StreamTitle field from an ICY metadata block
+ * @param {string} block - e.g. "StreamTitle='Artist - Title';StreamUrl='';"
+ * @returns {string|null}
+ */
+export function parseStreamTitle(block) {
+    const match = block.match(/StreamTitle='(.*?)';/s);
+    return match ? match[1].trim() : null;
+}
+
+export class IcyMetadataReader {
+    constructor() {
+        this.controller = null;
+
+        // Event callbacks
+        this.onMetadata = null;
+    }
+
+    /**
+     * Start reading metadata from a stream
+     * @param {string} url - Stream URL
+     */
+    async start(url) {
+        this.stop();
+        const controller = new AbortController();
+        this.controller = controller;
+
+        try {
+            const response = await fetch(url, {
+                headers: { 'Icy-MetaData': '1' },
+                signal: controller.signal
+            });
+            const metaInt = Number(response.headers.get('icy-metaint'));
+            if (!response.ok || !metaInt || !response.body) {
+                controller.abort();
+                return;
+            }
+            await this._read(response.body.getReader(), metaInt, controller.signal);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('ICY metadata unavailable:', error);
+            }
+        }
+    }
+
+    /**
+     * Stop reading
+     */
+    stop() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Walk the stream: metaInt audio bytes, one length byte (x16), metadata
+     * @param {ReadableStreamDefaultReader} reader
+     * @param {number} metaInt - Audio bytes between metadata blocks
+     * @param {AbortSignal} signal
+     */
+    async _read(reader, metaInt, signal) {
+        const decoder = new TextDecoder('utf-8');
+        let audioLeft = metaInt;
+        let metaLeft = -1; // -1 while waiting for the length byte
+        let meta = [];
+        let lastTitle = null;
+
+        while (!signal.aborted) {
+            const { done, value } = await reader.read();
+            if (done) return;
+
+            let pos = 0;
+            while (pos < value.length) {
+                if (audioLeft > 0) {
+                    const skip = Math.min(audioLeft, value.length - pos);
+                    audioLeft -= skip;
+                    pos += skip;
+                } else if (metaLeft < 0) {
+                    metaLeft = value[pos++] * 16;
+                    meta = [];
+                    if (metaLeft === 0) {
+                        metaLeft = -1;
+                        audioLeft = metaInt;
+                    }
+                } else {
+                    const take = Math.min(metaLeft, value.length - pos);
+                    meta.push(value.subarray(pos, pos + take));
+                    metaLeft -= take;
+                    pos += take;
+
+                    if (metaLeft === 0) {
+                        const bytes = new Uint8Array(meta.reduce((n, chunk) => n + chunk.length, 0));
+                        let offset = 0;
+                        meta.forEach(chunk => {
+                            bytes.set(chunk, offset);
+                            offset += chunk.length;
+                        });
+
+                        const title = parseStreamTitle(decoder.decode(bytes).replace(/\0+$/, ''));
+                        if (title !== null && title !== lastTitle) {
+                            lastTitle = title;
+                            if (this.onMetadata) this.onMetadata(title);
+                        }
+                        metaLeft = -1;
+                        audioLeft = metaInt;
+                    }
+                }
+            }
+        }
+    }
+}
+
+export default IcyMetadataReader;
@@ -3,36 +3,113 @@
  * Main application entry point
  */
 
-import { SubsonicClient } from './subsonic.js';
+import { SubsonicClient, SubsonicError, isAbortError } from './subsonic.js';
 import { AudioPlayer } from './player.js';
 import { AudioVisualizer } from './visualizer.js';
+import { LibraryCache } from './library-cache.js';
+import { LibrarySync } from './library-sync.js';
+import { ContextMenu } from './context-menu.js';
+import { PlayQueueSync } from './queue-sync.js';
+import { LyricsPanel, parseLrc, pickLyrics } from './lyrics.js';
+import { PositionStore } from './positions.js';
+import { ArtistView } from './artist-view.js';
+import { AutoDj } from './radio.js';
+import { Jukebox } from './jukebox.js';
+import { REPLAY_GAIN_MODES } from './replaygain.js';
+import { BUILT_IN_PRESETS, EQ_GAIN_RANGE, parsePreset } from './equalizer.js';
+import { Scrobbler } from './scrobbler.js';
+import { ProfileStore, CredentialStorage, profileKey, nameFromUrl } from './profiles.js';
+import { isVaultSupported } from './vault.js';
+import { STREAMING_PROFILES, CUSTOM_PROFILE, streamOptions, deliveredFormat } from './streaming.js';
 
 // Constants
 const DEFAULT_SAMPLE_RATE = '44100 Hz';
+const POSITION_SAVE_INTERVAL_SECONDS = 5;
+const DEFAULT_BOOKMARK_MINUTES = 20;
+const TOP_SONGS_COUNT = 10;
+const SIMILAR_SONGS_COUNT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MUSIC_FOLDER_KEY = 'music_folder'; // Per profile
+const PODCAST_POSITIONS_KEY = 'podcast_positions'; // Per profile
+const SCROBBLE_QUEUE_KEY = 'scrobbles'; // Per profile
+const CROSSFADE_SECONDS = [2, 5, 8, 12]; // Choices in the Playback menu
+const CROSSFADE_CURVES = { linear: 'Linear', 'equal-power': 'Equal power' };
+const EQUALIZER_KEY = 'equalizer'; // Per profile
+const EQ_PRESETS_KEY = 'eq_presets'; // Per profile
+const EQ_CURVE_MIN_HZ = 20;
+const EQ_CURVE_MAX_HZ = 20000;
+const LIBRARY_VIEW_KEY = 'somesonic_library_view';
+const ALBUM_LIST_SIZE = 500;
+const GENRE_SONG_COUNT = 500;
 
 // Application state
 const state = {
     client: null,
     player: null,
     visualizer: null,
+    librarySync: null,
+    queueSync: null,
+    scrobbler: null,
+    contextMenu: null,
+    lyricsPanel: null,
+    artistView: null,
+    autoDj: null,
+    lyricsCache: new Map(),
+    podcastPositions: null,
+    eqPresets: [], // Presets saved by the user
+    profiles: null,
+    profile: null, // Active server profile
+    editingProfileId: null, // Profile shown in the settings modal (null for a new one)
+    lastPositionSave: 0,
+    contentView: 'playlist',
     library: {
         artists: [],
         albums: [],
-        currentAlbum: null
+        playlists: [],
+        radioStations: [],
+        podcasts: [],
+        bookmarks: new Map(), // song ID -> bookmark
+        starred: { artist: [], album: [], song: [] },
+        musicFolders: [],
+        folderRoots: [], // Top-level directories of the folder view
+        directories: new Map(), // directory ID -> loaded directory
+        genres: [],
+        albumLists: new Map(), // 'genre:<name>' / 'year:<year>' -> albums, loaded on expand
+        currentAlbum: null,
+        currentPlaylist: null,
+        currentChannel: null
     },
     playlist: [],
+    playlistHeader: { name: 'Play queue' },
+    musicFolderId: null, // null for all folders
+    isAdmin: false,
+    canUseJukebox: false,
+    selection: new Set(),
+    selectionAnchor: -1,
+    dragRows: null, // Selected row indices while they are dragged
     currentTrack: null,
     expandedNodes: new Set(),
     settings: {
         serverUrl: '',
         username: '',
-        password: ''
+        password: '',
+        apiKey: '',
+        bookmarkMinutes: DEFAULT_BOOKMARK_MINUTES,
+        streamingProfile: 'original', // Key of STREAMING_PROFILES or CUSTOM_PROFILE
+        customStream: { format: 'mp3', maxBitRate: null },
+        gapless: true,
+        crossfade: 0, // Seconds, 0 = off
+        crossfadeCurve: 'equal-power',
+        replayGain: { mode: 'off', preamp: 0, fallback: 0 } // Gains in dB
     }
 };
 
 // DOM Elements
 const elements = {};
 
+// In-flight requests by kind; starting a new one cancels the previous
+const pendingRequests = new Map();
+
 /**
  * Initialize application
  */
@@ -42,6 +119,7 @@ async function init() {
     
     // Initialize Subsonic client
     state.client = new SubsonicClient();
+    state.contextMenu = new ContextMenu();
     
     // Initialize audio player
     const audioElement = document.getElementById('audio-player');
@@ -54,15 +132,45 @@ async function init() {
     state.visualizer = new AudioVisualizer(waveformCanvas, spectrogramCanvas);
     state.visualizer.init();
     state.visualizer.start();
+
+    // Initialize lyrics panel
+    state.lyricsPanel = new LyricsPanel(elements.lyricsView);
+    state.lyricsPanel.onSeek = (time) => state.player.seek(time);
+
+    // Initialize artist view
+    state.artistView = new ArtistView(elements.artistView);
+    state.artistView.onOpenArtist = (id) => showArtistPage(id);
+    state.artistView.onOpenAlbum = (id) => loadAlbum(id);
+    state.artistView.onPlaySongs = (songs, index) => playSongs(songs, index);
+    state.artistView.onQueueSongs = (songs) => queueSongs(songs);
+    state.artistView.onPlaySimilar = (artist) => playSimilarSongs(artist);
+    state.artistView.onStartRadio = (artist) => startRadio({ type: 'artist', id: artist.id, name: artist.name });
+
+    // Initialize auto-DJ
+    state.autoDj = new AutoDj(state.client, state.player);
+    state.autoDj.onSongs = async (songs) => {
+        queueTracks(await Promise.all(songs.map(song => songToTrack(song))));
+    };
     
     // Setup event listeners
     setupEventListeners();
     
-    // Load saved settings
+    // Load saved settings and the default server profile
+    state.profiles = new ProfileStore();
     loadSettings();
+    restoreLibraryView();
+    state.player.bookmarkThreshold = state.settings.bookmarkMinutes * 60;
+    state.player.gapless = state.settings.gapless;
+    state.player.crossfade = state.settings.crossfade;
+    state.player.crossfadeCurve = state.settings.crossfadeCurve;
+    state.player.setReplayGain(state.settings.replayGain);
+    if (state.profiles.isLocked()) {
+        await showUnlockModal();
+    }
+    activateProfile(state.profiles.getDefault());
     
     // Check if we have credentials and try to connect
-    if (state.settings.serverUrl && state.settings.username && state.settings.password) {
+    if (hasCredentials(state.settings)) {
         await connectToServer();
     } else {
         showSettingsModal();
@@ -75,21 +183,50 @@ async function init() {
 function cacheElements() {
     elements.libraryTree = document.getElementById('library-tree');
     elements.playlistBody = document.getElementById('playlist-body');
+    elements.playlistView = document.getElementById('playlist-view');
+    elements.lyricsView = document.getElementById('lyrics-view');
+    elements.artistView = document.getElementById('artist-view');
     elements.sidebarCover = document.getElementById('sidebar-cover');
     elements.coverPlaceholder = document.getElementById('cover-placeholder');
     elements.coverOverlayText = document.getElementById('cover-overlay-text');
     elements.filterInput = document.getElementById('filter-input');
     elements.viewSelect = document.getElementById('view-select');
+    elements.folderSelect = document.getElementById('folder-select');
     elements.statusFormat = document.getElementById('status-format');
     elements.statusBitrate = document.getElementById('status-bitrate');
     elements.statusSamplerate = document.getElementById('status-samplerate');
     elements.statusChannels = document.getElementById('status-channels');
     elements.statusTime = document.getElementById('status-time');
+    elements.statusStreamTitle = document.getElementById('status-stream-title');
+    elements.statusOutput = document.getElementById('status-output');
     elements.settingsModal = document.getElementById('settings-modal');
+    elements.sharesModal = document.getElementById('shares-modal');
+    elements.sharesBody = document.getElementById('shares-body');
+    elements.eqModal = document.getElementById('eq-modal');
+    elements.eqEnabled = document.getElementById('eq-enabled');
+    elements.eqPreset = document.getElementById('eq-preset');
+    elements.eqDeletePreset = document.getElementById('eq-delete-preset');
+    elements.eqImportFile = document.getElementById('eq-import-file');
+    elements.eqCurve = document.getElementById('eq-curve');
+    elements.eqBands = document.getElementById('eq-bands');
     elements.serverUrl = document.getElementById('server-url');
     elements.username = document.getElementById('username');
     elements.password = document.getElementById('password');
+    elements.apiKey = document.getElementById('api-key');
+    elements.credentialStorage = document.getElementById('credential-storage');
+    elements.passphraseGroup = document.getElementById('passphrase-group');
+    elements.masterPassphrase = document.getElementById('master-passphrase');
+    elements.masterPassphraseConfirm = document.getElementById('master-passphrase-confirm');
+    elements.unlockModal = document.getElementById('unlock-modal');
+    elements.unlockPassphrase = document.getElementById('unlock-passphrase');
+    elements.unlockStatus = document.getElementById('unlock-status');
+    elements.profileSelect = document.getElementById('profile-select');
+    elements.profileName = document.getElementById('profile-name');
+    elements.profileDefault = document.getElementById('profile-default');
+    elements.deleteProfile = document.getElementById('delete-profile');
+    elements.bookmarkThreshold = document.getElementById('bookmark-threshold');
     elements.connectionStatus = document.getElementById('connection-status');
+    elements.toastContainer = document.getElementById('toast-container');
 }
 
 /**
@@ -109,18 +246,81 @@ function setupPlayerCallbacks() {
         if (analyser) {
             state.visualizer.setAnalyser(analyser);
         }
+
+        state.queueSync?.schedule();
+        state.scrobbler?.trackStarted(track);
+
+        // Radio mode tops up the queue before it runs out
+        state.autoDj.noteTrack(track);
+        state.autoDj.fill();
+
+        if (state.contentView === 'lyrics') {
+            loadLyrics(track);
+        }
+
+        const resumedAt = getResumePosition(track);
+        state.lastPositionSave = resumedAt;
+        if (resumedAt > 0) {
+            showToast(`Resumed "${track.title}" at ${formatDuration(resumedAt)}`, [
+                { label: 'Start over', action: () => state.player.seek(0) }
+            ], { duration: 8000 });
+        }
+    };
+
+    // Podcast episodes and bookmarked tracks pick up where they stopped
+    state.player.resolveStartTime = getResumePosition;
+    // Transcoded streams seek by requesting a new stream from the position
+    state.player.resolveSeekUrl = resolveSeekUrl;
+
+    state.player.onBookmark = (track, position) => saveBookmark(track, position);
+
+    state.player.onQueueEnd = async () => {
+        if (await state.autoDj.fill()) state.player.next();
+    };
+
+    state.player.onEnded = () => {
+        state.scrobbler?.trackEnded();
+        const track = state.player.getCurrentTrack();
+        if (track?.isPodcast) state.podcastPositions.clear(track.episodeId);
+    };
+
+    state.player.onTimeUpdate = ({ currentTime, duration, isLive }) => {
+        if (isLive) {
+            elements.statusTime.textContent = 'LIVE';
+        } else {
+            const current = AudioPlayer.formatTime(currentTime);
+            const total = AudioPlayer.formatTime(duration);
+            elements.statusTime.textContent = `${current} / ${total}`;
+        }
+
+        if (state.contentView === 'lyrics') {
+            state.lyricsPanel.update(currentTime);
+        }
+
+        if (!isLive) state.scrobbler?.progress(currentTime, duration);
+
+        if (Math.abs(currentTime - state.lastPositionSave) >= POSITION_SAVE_INTERVAL_SECONDS) {
+            savePlaybackPosition();
+        }
     };
 
-    state.player.onTimeUpdate = ({ currentTime, duration }) => {
-        const current = AudioPlayer.formatTime(currentTime);
-        const total = AudioPlayer.formatTime(duration);
-        elements.statusTime.textContent = `${current} / ${total}`;
+    state.player.onMetadata = (title) => {
+        const track = state.player.getCurrentTrack();
+        elements.statusStreamTitle.textContent = title;
+        elements.statusStreamTitle.style.display = title ? '' : 'none';
+        if (track && title) {
+            document.title = `${title} - ${track.title} - SomeSonic`;
+            elements.coverOverlayText.textContent = `${track.title} - ${title}`.toLowerCase();
+        }
     };
 
     state.player.onPlayStateChange = (isPlaying) => {
         // Update visualization mode
         if (isPlaying) {
             state.visualizer.isDemoMode = false;
+        } else {
+            state.queueSync?.save();
+            savePlaybackPosition();
         }
     };
 }
@@ -141,13 +341,25 @@ function setupEventListeners() {
 
     // View select
     elements.viewSelect.addEventListener('change', () => {
+        localStorage.setItem(LIBRARY_VIEW_KEY, elements.viewSelect.value);
         loadLibrary();
     });
 
+    // Music folder select
+    elements.folderSelect.addEventListener('change', () => {
+        setMusicFolder(elements.folderSelect.value || null);
+    });
+
     // Settings modal
     document.getElementById('save-settings').addEventListener('click', saveSettings);
     document.getElementById('cancel-settings').addEventListener('click', hideSettingsModal);
     document.getElementById('test-connection').addEventListener('click', testConnection);
+    elements.profileSelect.addEventListener('change', () => {
+        fillProfileForm(state.profiles.get(elements.profileSelect.value));
+    });
+    document.getElementById('new-profile').addEventListener('click', () => fillProfileForm(null));
+    elements.deleteProfile.addEventListener('click', deleteProfile);
+    elements.credentialStorage.addEventListener('change', updatePassphraseFields);
 
     // Close modal on backdrop click
     elements.settingsModal.addEventListener('click', (e) => {
@@ -156,6 +368,37 @@ function setupEventListeners() {
         }
     });
 
+    // Shares modal
+    document.getElementById('close-shares').addEventListener('click', hideSharesModal);
+    elements.sharesModal.addEventListener('click', (e) => {
+        if (e.target === elements.sharesModal) {
+            hideSharesModal();
+        }
+    });
+
+    // Equalizer modal
+    document.getElementById('close-eq').addEventListener('click', hideEqualizerModal);
+    elements.eqModal.addEventListener('click', (e) => {
+        if (e.target === elements.eqModal) {
+            hideEqualizerModal();
+        }
+    });
+    elements.eqEnabled.addEventListener('change', () => {
+        state.player.equalizer.setEnabled(elements.eqEnabled.checked);
+        saveEqualizer();
+        drawEqualizerCurve();
+    });
+    elements.eqPreset.addEventListener('change', () => selectEqPreset(elements.eqPreset.value));
+    document.getElementById('eq-save-preset').addEventListener('click', saveEqPreset);
+    elements.eqDeletePreset.addEventListener('click', deleteEqPreset);
+    document.getElementById('eq-import').addEventListener('click', () => elements.eqImportFile.click());
+    elements.eqImportFile.addEventListener('change', () => {
+        const [file] = elements.eqImportFile.files;
+        elements.eqImportFile.value = '';
+        if (file) importEqPresets(file);
+    });
+    document.getElementById('eq-export').addEventListener('click', exportEqPreset);
+
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyboard);
 }
@@ -166,11 +409,154 @@ function setupEventListeners() {
 function handleMenuClick(e) {
     const menu = e.target.dataset.menu;
     switch (menu) {
-        case 'file':
-            showSettingsModal();
+        case 'file': {
+            const profiles = state.profiles.list();
+            state.contextMenu.showBelow(e.target, [
+                ...profiles.map(profile => ({
+                    label: profile.name,
+                    checked: profile === state.profile,
+                    action: () => switchProfile(profile.id)
+                })),
+                ...(profiles.length > 0 ? [{ separator: true }] : []),
+                { label: 'Server settings...', action: () => showSettingsModal() },
+                { label: 'Add server...', action: () => showSettingsModal(null) }
+            ]);
+            break;
+        }
+        case 'view':
+            state.contextMenu.showBelow(e.target, [
+                {
+                    label: 'Playlist',
+                    checked: state.contentView === 'playlist',
+                    action: () => showContentView('playlist')
+                },
+                {
+                    label: 'Lyrics',
+                    checked: state.contentView === 'lyrics',
+                    action: () => showContentView('lyrics')
+                },
+                {
+                    label: 'Artist',
+                    checked: state.contentView === 'artist',
+                    disabled: !state.artistView.artist,
+                    action: () => showContentView('artist')
+                }
+            ]);
             break;
         case 'playback':
-            state.player.togglePlay();
+            state.contextMenu.showBelow(e.target, [
+                {
+                    label: state.player.isPlaying ? 'Pause' : 'Play',
+                    action: () => state.player.togglePlay()
+                },
+                { separator: true },
+                {
+                    label: 'Gapless playback',
+                    checked: state.settings.gapless,
+                    action: () => {
+                        state.settings.gapless = !state.settings.gapless;
+                        state.player.gapless = state.settings.gapless;
+                        savePreferences();
+                    }
+                },
+                {
+                    label: 'Crossfade',
+                    items: [
+                        {
+                            label: 'Off',
+                            checked: state.settings.crossfade === 0,
+                            action: () => setCrossfade(0)
+                        },
+                        ...CROSSFADE_SECONDS.map(seconds => ({
+                            label: `${seconds} seconds`,
+                            checked: state.settings.crossfade === seconds,
+                            action: () => setCrossfade(seconds)
+                        })),
+                        { separator: true },
+                        ...Object.entries(CROSSFADE_CURVES).map(([curve, label]) => ({
+                            label,
+                            checked: state.settings.crossfadeCurve === curve,
+                            disabled: state.settings.crossfade === 0,
+                            action: () => setCrossfade(state.settings.crossfade, curve)
+                        }))
+                    ]
+                },
+                {
+                    label: 'ReplayGain',
+                    items: [
+                        ...Object.entries(REPLAY_GAIN_MODES).map(([mode, label]) => ({
+                            label,
+                            checked: state.settings.replayGain.mode === mode,
+                            action: () => setReplayGain({ mode })
+                        })),
+                        { separator: true },
+                        {
+                            label: `Pre-amp (${formatDecibels(state.settings.replayGain.preamp)})...`,
+                            action: () => editReplayGainLevel('preamp', 'Pre-amp in dB, added to every gain:')
+                        },
+                        {
+                            label: `Untagged files (${formatDecibels(state.settings.replayGain.fallback)})...`,
+                            action: () => editReplayGainLevel('fallback', 'Gain in dB for files without ReplayGain tags:')
+                        }
+                    ]
+                },
+                { label: 'Equalizer...', action: () => showEqualizerModal() },
+                {
+                    label: 'Output',
+                    items: [
+                        {
+                            label: 'This device',
+                            checked: !state.player.jukebox,
+                            action: () => setJukeboxMode(false)
+                        },
+                        {
+                            label: 'Server jukebox',
+                            checked: Boolean(state.player.jukebox),
+                            disabled: !state.canUseJukebox,
+                            action: () => setJukeboxMode(true)
+                        }
+                    ]
+                },
+                {
+                    label: 'Streaming quality',
+                    items: [
+                        ...Object.entries(STREAMING_PROFILES).map(([id, profile]) => ({
+                            label: profile.label,
+                            checked: state.settings.streamingProfile === id,
+                            action: () => setStreamingProfile(id)
+                        })),
+                        {
+                            label: 'Custom...',
+                            checked: state.settings.streamingProfile === CUSTOM_PROFILE,
+                            action: () => editCustomStreamingProfile()
+                        }
+                    ]
+                }
+            ]);
+            break;
+        case 'library':
+            state.contextMenu.showBelow(e.target, [
+                {
+                    label: 'Save playlist as...',
+                    disabled: state.playlist.length === 0,
+                    action: () => savePlaylistAs()
+                },
+                { label: 'Shares...', action: () => showSharesModal() },
+                {
+                    label: 'Radio mode',
+                    checked: state.autoDj.enabled,
+                    disabled: !state.autoDj.enabled && !isRateable(state.currentTrack),
+                    action: () => toggleRadio()
+                },
+                { separator: true },
+                {
+                    label: 'Rescan library',
+                    disabled: !state.librarySync,
+                    action: () => {
+                        if (confirm('Rescan the whole library from the server?')) resyncLibrary();
+                    }
+                }
+            ]);
             break;
     }
 }
@@ -191,14 +577,14 @@ function handleKeyboard(e) {
             if (e.ctrlKey) {
                 state.player.next();
             } else {
-                state.player.seek(state.player.audio.currentTime + 5);
+                state.player.seek(state.player.getCurrentTime() + 5);
             }
             break;
         case 'ArrowLeft':
             if (e.ctrlKey) {
                 state.player.previous();
             } else {
-                state.player.seek(state.player.audio.currentTime - 5);
+                state.player.seek(state.player.getCurrentTime() - 5);
             }
             break;
         case 'ArrowUp':
@@ -207,6 +593,27 @@ function handleKeyboard(e) {
         case 'ArrowDown':
             state.player.setVolume(state.player.getVolume() - 0.1);
             break;
+        case '0':
+        case '1':
+        case '2':
+        case '3':
+        case '4':
+        case '5':
+            if (!e.ctrlKey && !e.altKey && !e.metaKey && isRateable(state.currentTrack)) {
+                setTrackRating(state.currentTrack, Number(e.key));
+            }
+            break;
+        case 'f':
+        case 'F':
+            if (!e.ctrlKey && !e.altKey && !e.metaKey && isRateable(state.currentTrack)) {
+                toggleTrackStar(state.currentTrack);
+            }
+            break;
+        case 'Delete':
+            if (state.contentView === 'playlist' && state.selection.size > 0) {
+                removeSelectedFromQueue();
+            }
+            break;
     }
 }
 
@@ -214,350 +621,3257 @@ function handleKeyboard(e) {
  * Connect to Subsonic server
  */
 async function connectToServer() {
-    const { serverUrl, username, password } = state.settings;
-    state.client.setCredentials(serverUrl, username, password);
+    const { serverUrl, username, password, apiKey } = state.settings;
+    state.client.setCredentials(serverUrl, username, password, apiKey);
+
+    // One cache per profile and server account so libraries never get mixed
+    state.librarySync?.cache.close();
+    state.librarySync = new LibrarySync(state.client,
+        new LibraryCache(`somesonic-library:${state.profile?.id}:${username}@${state.client.serverUrl}`));
+    state.librarySync.musicFolderId = state.musicFolderId;
+    state.autoDj.musicFolderId = state.musicFolderId;
+    state.queueSync?.stop();
+    state.queueSync = new PlayQueueSync(state.client, state.player);
+    state.scrobbler?.stop();
+    state.scrobbler = new Scrobbler(state.client, profileKey(state.profile, SCROBBLE_QUEUE_KEY));
 
     try {
         const success = await state.client.ping();
         if (success) {
             hideSettingsModal();
-            await loadLibrary();
+            applyCapabilities();
+            forgetPasswordIfUnused();
+            await Promise.all([
+                loadUserRoles(), loadLibrary(), loadPlaylists(), loadRadioStations(), loadPodcasts(),
+                loadBookmarks(), loadStarred(), loadMusicFolders()
+            ]);
+            state.queueSync.start();
+            state.scrobbler.start();
+            offerQueueResume();
         } else {
             throw new Error('Connection failed');
         }
     } catch (error) {
         console.error('Connection error:', error);
-        showError('Failed to connect to server. Check your settings.');
+        showError(`Failed to connect to server: ${describeError(error)}. Check your settings.`);
         showSettingsModal();
     }
 }
 
 /**
- * Load library data
+ * Drop the stored password once the server authenticates with the API key
  */
-async function loadLibrary() {
-    const viewType = elements.viewSelect.value;
-    elements.libraryTree.innerHTML = '<div class="loading-message">Loading library...</div>';
-
-    try {
-        const albums = await state.client.getAlbumList({ type: 'alphabeticalByArtist', size: 500 });
-        state.library.albums = albums;
-
-        // Group albums by artist
-        const artistMap = new Map();
-        albums.forEach(album => {
-            const artist = album.artist || 'Unknown Artist';
-            if (!artistMap.has(artist)) {
-                artistMap.set(artist, []);
-            }
-            artistMap.get(artist).push(album);
-        });
-
-        state.library.artists = Array.from(artistMap.entries()).map(([name, albums]) => ({
-            name,
-            albums,
-            trackCount: albums.reduce((sum, a) => sum + (a.songCount || 0), 0)
-        }));
+function forgetPasswordIfUnused() {
+    const profile = state.profile;
+    if (!profile?.password || !profile.apiKey || !state.client.usesApiKey()) return;
 
-        renderLibraryTree();
-    } catch (error) {
-        console.error('Failed to load library:', error);
-        elements.libraryTree.innerHTML = '<div class="error-message">Failed to load library. Click File to configure server.</div>';
-    }
+    state.settings.password = '';
+    state.profiles.save({ id: profile.id, password: '' }).catch(error => {
+        console.warn('Failed to update server profile:', error);
+    });
 }
 
 /**
- * Render library tree
+ * Find out what the account may do on the server
+ * Logins by API key alone have no username to look up; for those, and
+ * whenever the lookup fails, the jukebox is probed directly and admin
+ * features stay hidden.
  */
-function renderLibraryTree() {
-    const container = elements.libraryTree;
-    const filter = elements.filterInput.value.toLowerCase();
-    
-    let totalTracks = state.library.artists.reduce((sum, a) => sum + a.trackCount, 0);
-    
-    let html = `<div class="tree-node tree-group">
-        <span class="expander">-</span>All Music (${totalTracks})
-    </div>`;
-
-    state.library.artists.forEach(artist => {
-        // Filter by name
-        if (filter && !artist.name.toLowerCase().includes(filter)) {
+async function loadUserRoles() {
+    state.isAdmin = false;
+    state.canUseJukebox = false;
+    if (state.client.username) {
+        try {
+            const user = await state.client.getUser(state.client.username);
+            state.isAdmin = Boolean(user?.adminRole);
+            state.canUseJukebox = Boolean(user?.jukeboxRole);
             return;
+        } catch (error) {
+            console.warn('Failed to load user roles:', error);
         }
+    }
+    state.canUseJukebox = await state.client.jukeboxControl('status').then(() => true, () => false);
+}
 
-        const isExpanded = state.expandedNodes.has(`artist-${artist.name}`);
-        const expander = isExpanded ? '-' : '+';
-
-        html += `<div class="tree-node" data-type="artist" data-name="${escapeHtml(artist.name)}">
-            <span class="expander">${expander}</span>${escapeHtml(artist.name)} (${artist.trackCount})
-        </div>`;
+/**
+ * Make a server profile the active one
+ * Loads its credentials and everything stored in its namespace.
+ * @param {Object|undefined} profile
+ */
+function activateProfile(profile) {
+    state.profile = profile || null;
+    state.settings.serverUrl = profile?.serverUrl || '';
+    state.settings.username = profile?.username || '';
+    state.settings.password = profile?.password || '';
+    state.settings.apiKey = profile?.apiKey || '';
+
+    state.podcastPositions = new PositionStore(profile
+        ? profileKey(profile, PODCAST_POSITIONS_KEY)
+        : 'somesonic_podcast_positions');
+    state.musicFolderId = profile ? localStorage.getItem(profileKey(profile, MUSIC_FOLDER_KEY)) : null;
+    state.player.equalizer.load(loadJson(equalizerKey()));
+    state.eqPresets = loadJson(eqPresetsKey()) || [];
+}
 
-        if (isExpanded) {
-            artist.albums.forEach(album => {
-                const albumName = album.name || 'Unknown Album';
-                const year = album.year ? `[${album.year}] ` : '';
-                html += `<div class="tree-node tree-item" style="padding-left: 30px;" 
-                    data-type="album" data-id="${album.id}">
-                    ${year}${escapeHtml(albumName)} (${album.songCount || 0})
-                </div>`;
-            });
-        }
+/**
+ * Forget everything loaded from the current server
+ */
+function resetSession() {
+    state.queueSync?.stop();
+    state.scrobbler?.stop();
+    // The next server may not have a jukebox; stop this one and play locally
+    state.player.setJukebox(null, { resume: false });
+    elements.statusOutput.style.display = 'none';
+    state.player.stop();
+    state.player.clearQueue();
+    state.player.audio.removeAttribute('src');
+    state.player.audio.load();
+    state.autoDj.reset();
+    state.lyricsCache.clear();
+    state.currentTrack = null;
+    state.playlist = [];
+    state.playlistHeader = { name: 'Play queue' };
+    state.selection.clear();
+    state.expandedNodes.clear();
+
+    Object.assign(state.library, {
+        artists: [],
+        albums: [],
+        playlists: [],
+        radioStations: [],
+        podcasts: [],
+        bookmarks: new Map(),
+        starred: { artist: [], album: [], song: [] },
+        musicFolders: [],
+        folderRoots: [],
+        genres: [],
+        currentAlbum: null,
+        currentPlaylist: null,
+        currentChannel: null
     });
+    state.library.directories.clear();
+    state.library.albumLists.clear();
+
+    document.title = 'SomeSonic - Subsonic Music Player';
+    elements.sidebarCover.style.display = 'none';
+    elements.coverPlaceholder.style.display = '';
+    elements.coverOverlayText.textContent = '';
+    renderPlaylist(state.playlistHeader, []);
+    renderLibraryTree();
+    if (state.contentView === 'artist') showContentView('playlist');
+}
 
-    container.innerHTML = html;
+/**
+ * Switch to another server profile
+ * @param {string} id - Profile ID
+ */
+async function switchProfile(id) {
+    const profile = state.profiles.get(id);
+    if (!profile || profile === state.profile) return;
+
+    // Save the queue before the client is pointed at another server
+    await state.queueSync?.save();
+    resetSession();
+    activateProfile(profile);
+    await connectToServer();
+}
 
-    // Add click handlers
-    container.querySelectorAll('.tree-node').forEach(node => {
-        node.addEventListener('click', handleTreeNodeClick);
+/**
+ * Show or hide features depending on what the server supports
+ * Elements marked with data-requires="<extension>" are hidden on servers
+ * that do not advertise that OpenSubsonic extension.
+ */
+function applyCapabilities() {
+    document.querySelectorAll('[data-requires]').forEach(el => {
+        el.style.display = state.client.supports(el.dataset.requires) ? '' : 'none';
     });
 }
 
 /**
- * Handle tree node click
+ * Load library data
+ * Renders the cached library straight away, then refreshes it from the server.
  */
-async function handleTreeNodeClick(e) {
-    const node = e.currentTarget;
-    const type = node.dataset.type;
+async function loadLibrary() {
+    const viewType = elements.viewSelect.value;
+    const signal = supersede('library');
+    elements.libraryTree.innerHTML = '<div class="loading-message">Loading library...</div>';
+    state.library.albumLists.clear();
 
-    if (type === 'artist') {
-        const name = node.dataset.name;
-        const key = `artist-${name}`;
-        
-        if (state.expandedNodes.has(key)) {
-            state.expandedNodes.delete(key);
-        } else {
-            state.expandedNodes.add(key);
-        }
+    if (viewType === 'folder') {
+        await loadFolderTree(signal);
+        return;
+    }
+    if (viewType === 'genre') {
+        loadGenres(signal);
+    }
+
+    // Not connected yet, or the profile was just deleted
+    if (!state.librarySync) {
         renderLibraryTree();
-    } else if (type === 'album') {
-        const albumId = node.dataset.id;
-        await loadAlbum(albumId);
+        return;
     }
-}
 
-/**
- * Load album and display in playlist
- */
-async function loadAlbum(albumId) {
+    let hasCache = false;
     try {
-        const album = await state.client.getAlbum(albumId);
-        if (!album) return;
+        const cached = await state.librarySync.load();
+        if (signal.aborted) return;
+        hasCache = cached.albums.length > 0;
+        if (hasCache) {
+            setLibraryAlbums(cached.albums);
+            renderLibraryTree();
+        }
 
-        state.library.currentAlbum = album;
-        
-        // Convert songs to playlist format
-        const tracks = await Promise.all((album.song || []).map(async song => ({
-            id: song.id,
-            title: song.title,
-            artist: song.artist || album.artist,
-            album: album.name,
-            albumId: album.id,
-            track: song.track,
-            duration: song.duration,
-            bitRate: song.bitRate,
-            suffix: song.suffix,
-            coverArtId: song.coverArt || album.coverArt,
-            streamUrl: await state.client.getStreamUrl(song.id)
-        })));
-
-        state.playlist = tracks;
-        state.player.setQueue(tracks);
-        
-        renderPlaylist(album, tracks);
-        updateSidebarCoverFromAlbum(album);
+        const result = await state.librarySync.sync({
+            signal,
+            onProgress: ({ albums }) => {
+                if (!hasCache) {
+                    elements.libraryTree.innerHTML =
+                        `<div class="loading-message">Loading library... (${albums} albums)</div>`;
+                }
+            }
+        });
+
+        if (result.changed || !hasCache) {
+            setLibraryAlbums(result.albums);
+            renderLibraryTree();
+        }
     } catch (error) {
-        console.error('Failed to load album:', error);
+        if (isAbortError(error)) return;
+        console.error('Failed to load library:', error);
+        if (!hasCache) {
+            showLibraryError(error);
+        }
     }
 }
 
 /**
- * Render playlist view
+ * Select the library view used last time
  */
-async function renderPlaylist(album, tracks) {
-    const tbody = elements.playlistBody;
-    const coverUrl = album.coverArt ? await state.client.getCoverArtUrl(album.coverArt, 100) : '';
-    
-    let html = '';
-    
-    // First row with album cover
-    if (tracks.length > 0) {
-        const firstTrack = tracks[0];
-        const isActive = state.currentTrack?.id === firstTrack.id;
-        
-        html += `<tr class="group-row">
-            <td rowspan="${tracks.length}" class="album-cover-cell">
-                <div class="cover-wrapper">
-                    ${coverUrl ? `<img src="${coverUrl}" alt="Album Cover">` : ''}
-                </div>
-            </td>
-            <td>${isActive ? '▶' : ''}</td>
-            <td class="text-blue">${escapeHtml(firstTrack.artist)} - ${escapeHtml(firstTrack.album)}</td>
-            <td>${String(firstTrack.track || 1).padStart(2, '0')}</td>
-            <td>${escapeHtml(firstTrack.title)}</td>
-            <td>${formatDuration(firstTrack.duration)}</td>
-        </tr>`;
-
-        // Rest of tracks
-        for (let i = 1; i < tracks.length; i++) {
-            const track = tracks[i];
-            const isActive = state.currentTrack?.id === track.id;
-            const activeClass = isActive ? ' class="track-row active"' : '';
-            
-            html += `<tr${activeClass} data-id="${track.id}">
-                <td>${isActive ? '▶' : ''}</td>
-                <td class="text-blue">${escapeHtml(track.artist)} - ${escapeHtml(track.album)}</td>
-                <td>${String(track.track || i + 1).padStart(2, '0')}</td>
-                <td>${escapeHtml(track.title)}</td>
-                <td>${formatDuration(track.duration)}</td>
-            </tr>`;
-        }
+function restoreLibraryView() {
+    const view = localStorage.getItem(LIBRARY_VIEW_KEY);
+    if (view && [...elements.viewSelect.options].some(option => option.value === view)) {
+        elements.viewSelect.value = view;
     }
+}
 
-    tbody.innerHTML = html;
+/**
+ * Load the genres of the genre view
+ */
+async function loadGenres(signal) {
+    try {
+        const genres = await state.client.getGenres({ signal });
+        state.library.genres = genres.sort((a, b) => a.value.localeCompare(b.value));
+        renderLibraryTree();
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Failed to load genres:', error);
+    }
+}
 
-    // Add double-click handlers for playback
-    tbody.querySelectorAll('tr').forEach((row, index) => {
-        row.addEventListener('dblclick', () => {
-            state.player.playIndex(index);
+/**
+ * Fetch the albums of a genre or year bucket
+ * @param {string} key - 'genre:<name>' or 'year:<year>'
+ * @returns {Promise<Array>}
+ */
+async function fetchAlbumList(key) {
+    const [kind, value] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+    const options = kind === 'genre'
+        ? { type: 'byGenre', genre: value }
+        : { type: 'byYear', fromYear: Number(value), toYear: Number(value) };
+
+    const albums = [];
+    for (let offset = 0; ; offset += ALBUM_LIST_SIZE) {
+        const page = await state.client.getAlbumList({
+            ...options,
+            size: ALBUM_LIST_SIZE,
+            offset,
+            musicFolderId: state.musicFolderId ?? undefined
         });
-    });
+        albums.push(...page);
+        if (page.length < ALBUM_LIST_SIZE) break;
+    }
+    return albums;
 }
 
 /**
- * Highlight current track in playlist
+ * Expand or collapse a genre/year/decade node, loading its albums first
  */
-function highlightCurrentTrack(track) {
-    const tbody = elements.playlistBody;
-    tbody.querySelectorAll('tr').forEach(row => {
-        row.classList.remove('active');
-        const playIndicator = row.querySelector('td:first-child');
-        if (playIndicator) playIndicator.textContent = '';
-    });
+async function toggleAlbumList(key) {
+    const nodeKey = `list-${key}`;
+    if (state.expandedNodes.has(nodeKey)) {
+        state.expandedNodes.delete(nodeKey);
+        renderLibraryTree();
+        return;
+    }
 
-    if (track) {
-        const rows = tbody.querySelectorAll('tr');
-        const index = state.playlist.findIndex(t => t.id === track.id);
-        if (index >= 0 && rows[index]) {
-            rows[index].classList.add('active');
-            const playIndicator = rows[index].querySelector('td:first-child');
-            if (playIndicator) playIndicator.textContent = '▶';
+    // Decades only group years, which are known from the library
+    if (!key.startsWith('decade:') && !state.library.albumLists.has(key)) {
+        try {
+            state.library.albumLists.set(key, await fetchAlbumList(key));
+        } catch (error) {
+            showError(`Failed to load albums: ${describeError(error)}`);
+            return;
         }
     }
+
+    state.expandedNodes.add(nodeKey);
+    renderLibraryTree();
 }
 
 /**
- * Update now playing info
+ * Show all songs of a genre in the playlist
  */
-function updateNowPlaying(track) {
-    if (!track) return;
+async function loadGenreSongs(genre) {
+    const signal = supersede('tracks');
 
-    document.title = `${track.title} - ${track.artist} - SomeSonic`;
-    
-    // Update status bar
-    elements.statusFormat.textContent = (track.suffix || '---').toUpperCase();
-    elements.statusBitrate.textContent = track.bitRate ? `${track.bitRate} kbps` : '--- kbps';
-    elements.statusSamplerate.textContent = DEFAULT_SAMPLE_RATE;
-    elements.statusChannels.textContent = 'stereo';
+    try {
+        const songs = await state.client.getSongsByGenre(genre, {
+            count: GENRE_SONG_COUNT,
+            musicFolderId: state.musicFolderId ?? undefined
+        });
+        const tracks = await Promise.all(songs.map(song => songToTrack(song)));
+        if (signal.aborted) return;
+
+        state.library.currentAlbum = null;
+        state.library.currentPlaylist = null;
+        showTracks({ name: genre, coverArt: songs[0]?.coverArt }, tracks);
+    } catch (error) {
+        if (isAbortError(error)) return;
+        showError(`Failed to load songs: ${describeError(error)}`);
+    }
 }
 
 /**
- * Update sidebar cover art
+ * Load the top-level directories of the folder view
+ * Subdirectories are fetched when they are expanded.
  */
-async function updateSidebarCover(track) {
-    if (!track?.coverArtId) return;
-
+async function loadFolderTree(signal) {
     try {
-        const coverUrl = await state.client.getCoverArtUrl(track.coverArtId, 300);
-        elements.sidebarCover.src = coverUrl;
-        elements.sidebarCover.style.display = 'block';
-        elements.coverPlaceholder.style.display = 'none';
-        elements.coverOverlayText.textContent = `${track.artist} - ${track.album}`.toLowerCase();
+        const indexes = await state.client.getIndexes({
+            musicFolderId: state.musicFolderId ?? undefined,
+            signal
+        });
+        state.library.folderRoots = (indexes.index || []).flatMap(index => index.artist || []);
+        state.library.directories.clear();
+        renderLibraryTree();
     } catch (error) {
-        console.error('Failed to load cover art:', error);
+        if (isAbortError(error)) return;
+        console.error('Failed to load folders:', error);
+        showLibraryError(error);
     }
 }
 
 /**
- * Update sidebar cover from album
+ * Expand or collapse a directory of the folder view
+ * Directories holding songs also show them in the playlist.
  */
-async function updateSidebarCoverFromAlbum(album) {
-    if (!album?.coverArt) return;
+async function openDirectory(id) {
+    const key = `dir-${id}`;
+    if (state.expandedNodes.has(key)) {
+        state.expandedNodes.delete(key);
+        renderLibraryTree();
+        return;
+    }
 
+    const signal = supersede('tracks');
     try {
-        const coverUrl = await state.client.getCoverArtUrl(album.coverArt, 300);
-        elements.sidebarCover.src = coverUrl;
-        elements.sidebarCover.style.display = 'block';
-        elements.coverPlaceholder.style.display = 'none';
-        elements.coverOverlayText.textContent = `${album.artist} - ${album.name}`.toLowerCase();
+        let directory = state.library.directories.get(id);
+        if (!directory) {
+            directory = await state.client.getMusicDirectory(id, { signal });
+            if (!directory) return;
+            state.library.directories.set(id, directory);
+        }
+
+        state.expandedNodes.add(key);
+        renderLibraryTree();
+
+        const songs = (directory.child || []).filter(child => !child.isDir && !child.isVideo);
+        if (songs.length === 0) return;
+        const tracks = await Promise.all(songs.map(song => songToTrack(song)));
+        if (signal.aborted) return;
+
+        state.library.currentAlbum = null;
+        state.library.currentPlaylist = null;
+        showTracks({ name: directory.name, coverArt: songs[0].coverArt }, tracks);
     } catch (error) {
-        console.error('Failed to load cover art:', error);
+        if (isAbortError(error)) return;
+        console.error('Failed to load directory:', error);
+        showError(`Failed to load folder: ${describeError(error)}`);
     }
 }
 
 /**
- * Filter library
+ * Load the server's music folders into the folder selector
+ * The selector is only shown when there is more than one folder.
  */
-function filterLibrary(query) {
-    renderLibraryTree();
+async function loadMusicFolders() {
+    try {
+        state.library.musicFolders = await state.client.getMusicFolders();
+    } catch (error) {
+        // Keep the saved folder; the server may just be briefly unreachable
+        console.error('Failed to load music folders:', error);
+        state.library.musicFolders = [];
+        elements.folderSelect.style.display = 'none';
+        return;
+    }
+
+    const folders = state.library.musicFolders;
+    elements.folderSelect.innerHTML = '<option value="">All music folders</option>';
+    folders.forEach(folder => {
+        const option = document.createElement('option');
+        option.value = folder.id;
+        option.textContent = folder.name || String(folder.id);
+        elements.folderSelect.appendChild(option);
+    });
+    elements.folderSelect.style.display = folders.length > 1 ? '' : 'none';
+
+    // Fall back to all folders if the saved one is gone
+    if (state.musicFolderId && !folders.some(folder => String(folder.id) === state.musicFolderId)) {
+        setMusicFolder(null);
+    }
+    elements.folderSelect.value = state.musicFolderId || '';
 }
 
 /**
- * Show settings modal
+ * Limit the library, random songs and searches to one music folder
+ * @param {string|null} id - Music folder ID, or null for all folders
  */
-function showSettingsModal() {
-    elements.serverUrl.value = state.settings.serverUrl;
-    elements.username.value = state.settings.username;
-    elements.password.value = state.settings.password;
-    elements.connectionStatus.className = '';
-    elements.connectionStatus.textContent = '';
-    elements.settingsModal.style.display = 'flex';
+function setMusicFolder(id) {
+    state.musicFolderId = id;
+    const key = profileKey(state.profile, MUSIC_FOLDER_KEY);
+    if (id) {
+        localStorage.setItem(key, id);
+    } else {
+        localStorage.removeItem(key);
+    }
+
+    state.librarySync.musicFolderId = id;
+    state.autoDj.musicFolderId = id;
+    state.expandedNodes.clear();
+    loadLibrary();
 }
 
 /**
- * Hide settings modal
+ * Drop the library cache and sync everything again
  */
-function hideSettingsModal() {
-    elements.settingsModal.style.display = 'none';
+async function resyncLibrary() {
+    const signal = supersede('library');
+    elements.libraryTree.innerHTML = '<div class="loading-message">Rescanning library...</div>';
+
+    try {
+        const result = await state.librarySync.resync({ signal });
+        setLibraryAlbums(result.albums);
+        renderLibraryTree();
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Failed to rescan library:', error);
+        showLibraryError(error);
+    }
+}
+
+/**
+ * Show a library loading error in the tree
+ */
+function showLibraryError(error) {
+    elements.libraryTree.innerHTML = `<div class="error-message">Failed to load library: ${escapeHtml(describeError(error))}. Click File to configure server.</div>`;
+}
+
+/**
+ * Store albums in the library state and group them by artist
+ */
+function setLibraryAlbums(albums) {
+    state.library.albums = albums;
+
+    // Group albums by artist
+    const artistMap = new Map();
+    albums.forEach(album => {
+        const artist = album.artist || 'Unknown Artist';
+        if (!artistMap.has(artist)) {
+            artistMap.set(artist, []);
+        }
+        artistMap.get(artist).push(album);
+    });
+
+    state.library.artists = Array.from(artistMap.entries()).map(([name, albums]) => ({
+        name,
+        id: albums.find(album => album.artistId)?.artistId,
+        albums,
+        trackCount: albums.reduce((sum, a) => sum + (a.songCount || 0), 0)
+    }));
+}
+
+/**
+ * Render library tree
+ */
+function renderLibraryTree() {
+    const container = elements.libraryTree;
+    const filter = elements.filterInput.value.toLowerCase();
+
+    const renderers = {
+        'artist-album': renderArtistBranch,
+        artist: renderArtistListBranch,
+        album: renderAlbumListBranch,
+        genre: renderGenreBranch,
+        year: renderYearBranch,
+        decade: renderDecadeBranch,
+        folder: renderFolderBranch
+    };
+    let html = (renderers[elements.viewSelect.value] || renderArtistBranch)(filter);
+
+    html += renderPlaylistsBranch(filter);
+    html += renderRadioBranch(filter);
+    html += renderPodcastsBranch(filter);
+    html += renderBookmarksBranch(filter);
+    html += renderStarredBranch(filter);
+
+    container.innerHTML = html;
+
+    // Add click handlers
+    container.querySelectorAll('.tree-node').forEach(node => {
+        node.addEventListener('click', handleTreeNodeClick);
+        node.addEventListener('contextmenu', handleTreeContextMenu);
+    });
+}
+
+/**
+ * Render the artists and their albums
+ */
+function renderArtistBranch(filter) {
+    let html = renderAllMusicHeader();
+
+    state.library.artists.forEach(artist => {
+        // Filter by name
+        if (filter && !artist.name.toLowerCase().includes(filter)) {
+            return;
+        }
+
+        const isExpanded = state.expandedNodes.has(`artist-${artist.name}`);
+        const expander = isExpanded ? '-' : '+';
+
+        html += `<div class="tree-node" data-type="artist" data-name="${escapeAttribute(artist.name)}"
+            data-id="${artist.id || ''}">
+            <span class="expander">${expander}</span>${escapeHtml(artist.name)} (${artist.trackCount})
+        </div>`;
+
+        if (isExpanded) {
+            artist.albums.forEach(album => {
+                html += renderAlbumNode(album);
+            });
+        }
+    });
+
+    return html;
+}
+
+/**
+ * Render the "All Music" header shared by the library views
+ */
+function renderAllMusicHeader() {
+    const totalTracks = state.library.artists.reduce((sum, a) => sum + a.trackCount, 0);
+    return `<div class="tree-node tree-group">
+        <span class="expander">-</span>All Music (${totalTracks})
+    </div>`;
+}
+
+/**
+ * Render an album node
+ * @param {Object} album
+ * @param {Object} options - { indent (px), withArtist }
+ */
+function renderAlbumNode(album, { indent = 30, withArtist = false } = {}) {
+    const year = album.year ? `[${album.year}] ` : '';
+    const artist = withArtist && album.artist ? `${album.artist} - ` : '';
+    return `<div class="tree-node tree-item" style="padding-left: ${indent}px;"
+        data-type="album" data-id="${album.id}">
+        ${year}${escapeHtml(artist)}${escapeHtml(album.name || 'Unknown Album')} (${album.songCount || 0})
+    </div>`;
+}
+
+/**
+ * Render an expandable genre/year/decade node
+ */
+function renderListNode(key, label, count, indent = 15) {
+    const expander = state.expandedNodes.has(`list-${key}`) ? '-' : '+';
+    return `<div class="tree-node" style="padding-left: ${indent}px;" data-type="album-list" data-key="${escapeAttribute(key)}">
+        <span class="expander">${expander}</span>${escapeHtml(label)} (${count})
+    </div>`;
+}
+
+/**
+ * Render the albums loaded for an expanded genre/year node
+ */
+function renderListAlbums(key, indent) {
+    if (!state.expandedNodes.has(`list-${key}`)) return '';
+    return (state.library.albumLists.get(key) || [])
+        .map(album => renderAlbumNode(album, { indent, withArtist: true }))
+        .join('');
+}
+
+/**
+ * Render the artist-only view; artists open their page
+ */
+function renderArtistListBranch(filter) {
+    let html = renderAllMusicHeader();
+    state.library.artists.forEach(artist => {
+        if (filter && !artist.name.toLowerCase().includes(filter)) return;
+        html += `<div class="tree-node tree-item" data-type="artist" data-name="${escapeAttribute(artist.name)}"
+            data-id="${artist.id || ''}">
+            ${escapeHtml(artist.name)} (${artist.albums.length})
+        </div>`;
+    });
+    return html;
+}
+
+/**
+ * Render a flat album list sorted by name
+ */
+function renderAlbumListBranch(filter) {
+    const albums = state.library.albums
+        .filter(album => !filter ||
+            (album.name || '').toLowerCase().includes(filter) ||
+            (album.artist || '').toLowerCase().includes(filter))
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    return renderAllMusicHeader() +
+        albums.map(album => renderAlbumNode(album, { indent: 15, withArtist: true })).join('');
+}
+
+/**
+ * Render genres; expanding one lists all its songs and its albums
+ */
+function renderGenreBranch(filter) {
+    const genres = state.library.genres.filter(genre =>
+        !filter || genre.value.toLowerCase().includes(filter));
+
+    let html = `<div class="tree-node tree-group">
+        <span class="expander">-</span>Genres (${genres.length})
+    </div>`;
+    genres.forEach(genre => {
+        const key = `genre:${genre.value}`;
+        html += renderListNode(key, genre.value, genre.albumCount || 0);
+        if (state.expandedNodes.has(`list-${key}`)) {
+            html += `<div class="tree-node tree-item" style="padding-left: 30px;"
+                data-type="genre-songs" data-genre="${escapeAttribute(genre.value)}">
+                All songs (${genre.songCount || 0})
+            </div>`;
+            html += renderListAlbums(key, 30);
+        }
+    });
+    return html;
+}
+
+/**
+ * Count the library's albums per year, newest first
+ * @returns {Array<[number, number]>} [year, albums]
+ */
+function getAlbumYears() {
+    const years = new Map();
+    state.library.albums.forEach(album => {
+        if (album.year) years.set(album.year, (years.get(album.year) || 0) + 1);
+    });
+    return [...years.entries()].sort((a, b) => b[0] - a[0]);
+}
+
+/**
+ * Render years; expanding one lists its albums
+ */
+function renderYearBranch(filter) {
+    const years = getAlbumYears().filter(([year]) => !filter || String(year).includes(filter));
+
+    let html = `<div class="tree-node tree-group">
+        <span class="expander">-</span>Years (${years.length})
+    </div>`;
+    years.forEach(([year, count]) => {
+        html += renderListNode(`year:${year}`, String(year), count);
+        html += renderListAlbums(`year:${year}`, 30);
+    });
+    return html;
+}
+
+/**
+ * Render decades; expanding one lists its years
+ */
+function renderDecadeBranch(filter) {
+    const decades = new Map();
+    getAlbumYears().forEach(([year, count]) => {
+        const decade = Math.floor(year / 10) * 10;
+        if (!decades.has(decade)) decades.set(decade, []);
+        decades.get(decade).push([year, count]);
+    });
+    const entries = [...decades.entries()].filter(([decade]) => !filter || `${decade}s`.includes(filter));
+
+    let html = `<div class="tree-node tree-group">
+        <span class="expander">-</span>Decades (${entries.length})
+    </div>`;
+    entries.forEach(([decade, years]) => {
+        const key = `decade:${decade}`;
+        const total = years.reduce((sum, [, count]) => sum + count, 0);
+        html += renderListNode(key, `${decade}s`, total);
+        if (!state.expandedNodes.has(`list-${key}`)) return;
+
+        years.forEach(([year, count]) => {
+            html += renderListNode(`year:${year}`, String(year), count, 30);
+            html += renderListAlbums(`year:${year}`, 45);
+        });
+    });
+    return html;
+}
+
+/**
+ * Render the folder view: top-level directories and expanded subdirectories
+ */
+function renderFolderBranch(filter) {
+    const roots = state.library.folderRoots.filter(entry =>
+        !filter || (entry.name || '').toLowerCase().includes(filter));
+
+    let html = `<div class="tree-node tree-group">
+        <span class="expander">-</span>Folders (${roots.length})
+    </div>`;
+    return html + renderDirectoryNodes(roots, 0);
+}
+
+/**
+ * Render directory nodes, recursing into expanded ones that are loaded
+ */
+function renderDirectoryNodes(entries, depth) {
+    let html = '';
+    entries.forEach(entry => {
+        const isExpanded = state.expandedNodes.has(`dir-${entry.id}`);
+        const directory = state.library.directories.get(entry.id);
+        const indent = depth > 0 ? ` style="padding-left: ${15 + depth * 15}px;"` : '';
+
+        html += `<div class="tree-node"${indent} data-type="directory" data-id="${entry.id}">
+            <span class="expander">${isExpanded ? '-' : '+'}</span>${escapeHtml(entry.name || entry.title)}
+        </div>`;
+
+        if (isExpanded && directory) {
+            html += renderDirectoryNodes((directory.child || []).filter(child => child.isDir), depth + 1);
+        }
+    });
+    return html;
+}
+
+/**
+ * Render a collapsible group node
+ */
+function renderTreeGroup(key, label, count) {
+    const expander = state.expandedNodes.has(`group-${key}`) ? '-' : '+';
+    return `<div class="tree-node tree-group" data-type="group" data-key="${key}">
+        <span class="expander">${expander}</span>${escapeHtml(label)} (${count})
+    </div>`;
+}
+
+/**
+ * Render the Playlists branch of the library tree
+ */
+function renderPlaylistsBranch(filter) {
+    const playlists = state.library.playlists.filter(playlist =>
+        !filter || playlist.name.toLowerCase().includes(filter));
+
+    let html = renderTreeGroup('playlists', 'Playlists', playlists.length);
+    if (!state.expandedNodes.has('group-playlists')) return html;
+
+    playlists.forEach(playlist => {
+        const active = state.library.currentPlaylist?.id === playlist.id ? ' active' : '';
+        html += `<div class="tree-node tree-item${active}" style="padding-left: 30px;"
+            data-type="playlist" data-id="${playlist.id}">
+            ${escapeHtml(playlist.name)} (${playlist.songCount || 0})
+        </div>`;
+    });
+    return html;
+}
+
+/**
+ * Render the Radio branch of the library tree
+ */
+function renderRadioBranch(filter) {
+    const stations = state.library.radioStations.filter(station =>
+        !filter || station.name.toLowerCase().includes(filter));
+
+    let html = renderTreeGroup('radio', 'Radio', stations.length);
+    if (!state.expandedNodes.has('group-radio')) return html;
+
+    stations.forEach(station => {
+        html += `<div class="tree-node tree-item" style="padding-left: 30px;"
+            data-type="station" data-id="${station.id}">
+            ${escapeHtml(station.name)}
+        </div>`;
+    });
+    return html;
+}
+
+/**
+ * Render the Podcasts branch of the library tree
+ */
+function renderPodcastsBranch(filter) {
+    const channels = state.library.podcasts.filter(channel =>
+        !filter || (channel.title || '').toLowerCase().includes(filter));
+
+    let html = renderTreeGroup('podcasts', 'Podcasts', channels.length);
+    if (!state.expandedNodes.has('group-podcasts')) return html;
+
+    html += `<div class="tree-node tree-item" style="padding-left: 30px;" data-type="newest-episodes">
+        Newest episodes
+    </div>`;
+
+    channels.forEach(channel => {
+        const active = state.library.currentChannel === channel.id ? ' active' : '';
+        const status = channel.status && channel.status !== 'completed' ? ` [${channel.status}]` : '';
+        html += `<div class="tree-node tree-item${active}" style="padding-left: 30px;"
+            data-type="channel" data-id="${channel.id}">
+            ${escapeHtml(channel.title || channel.url)}${escapeHtml(status)}
+        </div>`;
+    });
+    return html;
+}
+
+/**
+ * Render the Bookmarks branch of the library tree, most recent first
+ */
+function renderBookmarksBranch(filter) {
+    const bookmarks = [...state.library.bookmarks.values()]
+        .filter(bookmark => !filter || (bookmark.entry.title || '').toLowerCase().includes(filter))
+        .sort((a, b) => String(b.changed || '').localeCompare(String(a.changed || '')));
+
+    let html = renderTreeGroup('bookmarks', 'Bookmarks', bookmarks.length);
+    if (!state.expandedNodes.has('group-bookmarks')) return html;
+
+    bookmarks.forEach(bookmark => {
+        const { entry } = bookmark;
+        html += `<div class="tree-node tree-item" style="padding-left: 30px;"
+            data-type="bookmark" data-id="${entry.id}">
+            ${escapeHtml(entry.title)} [${formatDuration(bookmark.position / 1000)}]
+        </div>`;
+    });
+    return html;
+}
+
+/**
+ * Render the Starred branch of the library tree
+ */
+function renderStarredBranch(filter) {
+    const { album, song } = state.library.starred;
+    const albums = album.filter(a => !filter || (a.name || '').toLowerCase().includes(filter));
+
+    let html = renderTreeGroup('starred', 'Starred', song.length + albums.length);
+    if (!state.expandedNodes.has('group-starred')) return html;
+
+    html += `<div class="tree-node tree-item" style="padding-left: 30px;" data-type="starred-songs">
+        Songs (${song.length})
+    </div>`;
+
+    albums.forEach(a => {
+        const artist = a.artist ? `${a.artist} - ` : '';
+        html += `<div class="tree-node tree-item" style="padding-left: 30px;"
+            data-type="album" data-id="${a.id}">
+            ${escapeHtml(artist)}${escapeHtml(a.name || 'Unknown Album')}
+        </div>`;
+    });
+    return html;
+}
+
+/**
+ * Handle tree node click
+ */
+async function handleTreeNodeClick(e) {
+    const node = e.currentTarget;
+    const type = node.dataset.type;
+
+    if (type === 'artist') {
+        const name = node.dataset.name;
+        const key = `artist-${name}`;
+        
+        // Only the artist/album view expands artists
+        if (elements.viewSelect.value === 'artist-album') {
+            if (state.expandedNodes.has(key)) {
+                state.expandedNodes.delete(key);
+            } else {
+                state.expandedNodes.add(key);
+            }
+            renderLibraryTree();
+        }
+        if (node.dataset.id) await showArtistPage(node.dataset.id);
+    } else if (type === 'album-list') {
+        await toggleAlbumList(node.dataset.key);
+    } else if (type === 'genre-songs') {
+        await loadGenreSongs(node.dataset.genre);
+    } else if (type === 'directory') {
+        await openDirectory(node.dataset.id);
+    } else if (type === 'album') {
+        const albumId = node.dataset.id;
+        await loadAlbum(albumId);
+    } else if (type === 'playlist') {
+        await loadPlaylist(node.dataset.id);
+    } else if (type === 'channel') {
+        await loadPodcastChannel(node.dataset.id);
+    } else if (type === 'newest-episodes') {
+        await loadNewestEpisodes();
+    } else if (type === 'starred-songs') {
+        await loadStarredSongs();
+    } else if (type === 'station') {
+        const station = state.library.radioStations.find(s => s.id === node.dataset.id);
+        if (station) await playStation(station);
+    } else if (type === 'bookmark') {
+        const bookmark = state.library.bookmarks.get(node.dataset.id);
+        if (bookmark) await playBookmark(bookmark);
+    } else if (type === 'group') {
+        const key = `group-${node.dataset.key}`;
+
+        if (state.expandedNodes.has(key)) {
+            state.expandedNodes.delete(key);
+        } else {
+            state.expandedNodes.add(key);
+        }
+        renderLibraryTree();
+    }
+}
+
+/**
+ * Handle tree node right-click
+ */
+function handleTreeContextMenu(e) {
+    const node = e.currentTarget;
+    let items = [];
+
+    switch (node.dataset.type) {
+        case 'artist':
+            if (node.dataset.id) {
+                items = [
+                    { label: 'Open artist page', action: () => showArtistPage(node.dataset.id) },
+                    {
+                        label: 'Start radio',
+                        action: () => startRadio({ type: 'artist', id: node.dataset.id, name: node.dataset.name })
+                    }
+                ];
+            }
+            break;
+        case 'album':
+            items = [
+                { label: 'Open', action: () => loadAlbum(node.dataset.id) },
+                { label: 'Share...', action: () => shareItems([node.dataset.id], 'this album') }
+            ];
+            break;
+        case 'playlist': {
+            const playlist = state.library.playlists.find(p => p.id === node.dataset.id);
+            if (playlist) items = getPlaylistMenuItems(playlist);
+            break;
+        }
+        case 'station': {
+            const station = state.library.radioStations.find(s => s.id === node.dataset.id);
+            if (station) items = getStationMenuItems(station);
+            break;
+        }
+        case 'channel': {
+            const channel = state.library.podcasts.find(c => c.id === node.dataset.id);
+            if (channel) items = getChannelMenuItems(channel);
+            break;
+        }
+        case 'bookmark': {
+            const bookmark = state.library.bookmarks.get(node.dataset.id);
+            if (bookmark) {
+                items = [
+                    { label: 'Play', action: () => playBookmark(bookmark) },
+                    { label: 'Delete bookmark', action: () => deleteBookmark(bookmark) }
+                ];
+            }
+            break;
+        }
+        case 'group':
+            if (node.dataset.key === 'radio' && state.isAdmin) {
+                items = [{ label: 'Add station...', action: () => editStation(null) }];
+            } else if (node.dataset.key === 'podcasts') {
+                items = [
+                    { label: 'Add podcast...', action: () => addPodcastChannel() },
+                    { label: 'Check for new episodes', action: () => refreshPodcasts() }
+                ];
+            }
+            break;
+    }
+
+    if (items.length > 0) {
+        e.preventDefault();
+        state.contextMenu.show(e.clientX, e.clientY, items);
+    }
+}
+
+/**
+ * Load album and display in playlist
+ */
+async function loadAlbum(albumId) {
+    const signal = supersede('tracks');
+
+    try {
+        const album = await state.librarySync.getAlbum(albumId, { signal });
+        if (!album || signal.aborted) return;
+
+        const tracks = await Promise.all((album.song || []).map(song => songToTrack(song, album)));
+        if (signal.aborted) return;
+
+        state.library.currentAlbum = album;
+        state.library.currentPlaylist = null;
+        showTracks(album, tracks);
+        updateSidebarCoverFromAlbum(album);
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Failed to load album:', error);
+        showError(`Failed to load album: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Convert a Subsonic song to playlist format
+ * @param {Object} song - Song from the API
+ * @param {Object} album - Album the song was loaded from (optional)
+ */
+async function songToTrack(song, album = null) {
+    return {
+        id: song.id,
+        title: song.title,
+        artist: song.artist || album?.artist,
+        album: song.album || album?.name,
+        albumId: song.albumId || album?.id,
+        artistId: song.artistId || album?.artistId,
+        genre: song.genre || album?.genre,
+        year: song.year || album?.year,
+        track: song.track,
+        discNumber: song.discNumber,
+        duration: song.duration,
+        bitRate: song.bitRate,
+        suffix: song.suffix,
+        coverArtId: song.coverArt || album?.coverArt,
+        starred: Boolean(song.starred),
+        userRating: song.userRating || 0,
+        replayGain: song.replayGain || null,
+        samplingRate: song.samplingRate,
+        ...await streamFields(song.id, song)
+    };
+}
+
+/**
+ * Build the stream URL of a song or episode with the chosen streaming profile
+ * @param {string} id - Song or episode stream ID
+ * @param {Object} source - Song with the source suffix and bitRate
+ * @returns {Promise<Object>} { streamUrl, streamOptions, delivered, transcoded }
+ */
+async function streamFields(id, source) {
+    const options = streamOptions(state.settings.streamingProfile, state.settings.customStream);
+    const delivered = deliveredFormat(source, options);
+    return {
+        streamUrl: await state.client.getStreamUrl(id, options),
+        streamOptions: options,
+        delivered,
+        transcoded: delivered.transcoded
+    };
+}
+
+/**
+ * URL of a transcoded stream starting part-way, for servers that can do it
+ * Original files seek with range requests and need no new stream.
+ * @param {Object} track
+ * @param {number} seconds - Whole seconds
+ * @returns {Promise<string|null>}
+ */
+async function resolveSeekUrl(track, seconds) {
+    if (!track.transcoded || !state.client.supports('transcodeOffset')) return null;
+    return state.client.getStreamUrl(track.id, { ...track.streamOptions, timeOffset: seconds });
+}
+
+/**
+ * Play through the server's own audio output instead of this device
+ * The queue and position move over; transport controls and shortcuts
+ * then drive the server.
+ * @param {boolean} enabled
+ */
+async function setJukeboxMode(enabled) {
+    if (enabled === Boolean(state.player.jukebox)) return;
+
+    let jukebox = null;
+    if (enabled) {
+        jukebox = new Jukebox(state.client);
+        jukebox.onError = (error) => showError(`Jukebox: ${describeError(error)}`);
+        jukebox.onDisconnect = (error) => {
+            showError(`Lost the connection to the jukebox (${describeError(error)}); playing on this device again`);
+            setJukeboxMode(false);
+        };
+        try {
+            await jukebox.get();
+            await jukebox.setGain(state.player.getVolume());
+        } catch {
+            return; // Reported through onError
+        }
+    }
+
+    await state.player.setJukebox(jukebox);
+    elements.statusOutput.style.display = enabled ? '' : 'none';
+    showToast(enabled ? 'Playing on the server jukebox' : 'Playing on this device');
+}
+
+/**
+ * Choose the streaming profile
+ * Queued tracks switch over from the next time they are played.
+ * @param {string} id - Key of STREAMING_PROFILES or CUSTOM_PROFILE
+ */
+async function setStreamingProfile(id) {
+    state.settings.streamingProfile = id;
+    savePreferences();
+
+    const tracks = [...state.player.queue, ...state.playlist]
+        .filter(track => track.streamUrl && !track.isLive);
+    try {
+        await Promise.all([...new Set(tracks)].map(async track => {
+            Object.assign(track, await streamFields(track.id, track));
+        }));
+    } catch (error) {
+        showError(`Failed to update the stream URLs: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Ask for the format and bitrate of the custom streaming profile
+ */
+function editCustomStreamingProfile() {
+    const custom = state.settings.customStream;
+    const format = prompt('Stream format (e.g. mp3, opus, aac):', custom.format || 'mp3');
+    if (format === null) return;
+    const bitRate = prompt('Maximum bitrate in kbps (empty for no limit):', custom.maxBitRate || '');
+    if (bitRate === null) return;
+
+    const name = format.trim().toLowerCase();
+    const maxBitRate = Number(bitRate) || null;
+    if (!/^[a-z0-9]+$/.test(name) || (bitRate.trim() && !(maxBitRate > 0))) {
+        showError('Enter a format name and a bitrate in kbps');
+        return;
+    }
+    state.settings.customStream = { format: name, maxBitRate };
+    setStreamingProfile(CUSTOM_PROFILE);
+}
+
+/**
+ * Show tracks in the playlist view and make them the play queue
+ */
+function showTracks(header, tracks) {
+    state.playlist = tracks;
+    state.playlistHeader = header;
+    state.selection.clear();
+    state.selectionAnchor = -1;
+    state.player.setQueue(tracks);
+
+    renderPlaylist(header, tracks);
+    renderLibraryTree();
+    if (state.contentView === 'artist') showContentView('playlist');
+
+    // A new queue ends the radio; startRadio() restarts it afterwards
+    state.autoDj.stop();
+}
+
+/**
+ * Append tracks to the play queue and the playlist view
+ */
+function queueTracks(tracks) {
+    state.playlist = [...state.playlist, ...tracks];
+    state.player.addToQueue(tracks);
+    renderPlaylist(state.playlistHeader, state.playlist);
+    state.queueSync?.schedule();
+}
+
+/**
+ * Play a list of songs from the API, starting at index
+ */
+async function playSongs(songs, index = 0) {
+    const tracks = await Promise.all(songs.map(song => songToTrack(song)));
+    state.library.currentAlbum = null;
+    state.library.currentPlaylist = null;
+    showTracks({ name: 'Play queue', coverArt: songs[index]?.coverArt }, tracks);
+    await state.player.playIndex(state.player.getQueue().indexOf(tracks[index]));
+}
+
+/**
+ * Add songs from the API to the end of the play queue
+ */
+async function queueSongs(songs) {
+    const tracks = await Promise.all(songs.map(song => songToTrack(song)));
+    queueTracks(tracks);
+    showToast(songs.length === 1 ? `Queued "${songs[0].title}"` : `Queued ${songs.length} songs`);
+}
+
+/**
+ * Start radio mode from a song, artist or genre
+ * The queue starts with the given tracks and is then kept filled by the
+ * auto-DJ.
+ * @param {Object} seed - Radio seed ({ type, id, name, genre, year })
+ * @param {Array<Object>} tracks - Tracks to start with (optional)
+ */
+async function startRadio(seed, tracks = []) {
+    supersede('tracks');
+    state.library.currentAlbum = null;
+    state.library.currentPlaylist = null;
+    showTracks({ name: `Radio: ${seed.name}`, coverArt: tracks[0]?.coverArtId }, tracks);
+    state.autoDj.start(seed);
+
+    await state.autoDj.fill();
+    if (!state.autoDj.enabled) return;
+    if (state.playlist.length === 0) {
+        state.autoDj.stop();
+        showError(`No songs found for a radio from ${seed.name}`);
+        return;
+    }
+
+    await state.player.playIndex(0);
+    showToast(`Radio started from ${seed.name}`);
+}
+
+/**
+ * Turn radio mode on (seeded by the playing track) or off
+ */
+function toggleRadio() {
+    if (state.autoDj.enabled) {
+        state.autoDj.stop();
+        showToast('Radio stopped');
+        return;
+    }
+
+    // Keep the current queue and continue it
+    const track = state.currentTrack;
+    state.autoDj.start({ type: 'song', id: track.id, name: track.title, genre: track.genre, year: track.year });
+    state.autoDj.fill();
+    showToast(`Radio started from ${track.title}`);
+}
+
+/**
+ * Start a radio from a playlist track
+ */
+function startTrackRadio(track) {
+    startRadio({ type: 'song', id: track.id, name: track.title, genre: track.genre, year: track.year },
+        [{ ...track }]);
+}
+
+/**
+ * Show the artist page: biography, top songs, discography and similar artists
+ */
+async function showArtistPage(artistId) {
+    const signal = supersede('artist');
+    state.artistView.showMessage('Loading artist...');
+    showContentView('artist');
+
+    try {
+        const artist = await state.client.getArtist(artistId, { signal });
+        if (!artist) {
+            state.artistView.showMessage('Artist not found');
+            return;
+        }
+
+        // Biography and top songs come from external services and may be missing
+        const [info, topSongs] = await Promise.all([
+            state.client.getArtistInfo2(artistId, { signal }).catch(error => {
+                if (isAbortError(error)) throw error;
+                return null;
+            }),
+            state.client.getTopSongs(artist.name, { count: TOP_SONGS_COUNT, signal }).catch(error => {
+                if (isAbortError(error)) throw error;
+                return [];
+            })
+        ]);
+
+        const albums = artist.album || [];
+        const covers = new Map(await Promise.all(albums.map(async album =>
+            [album.id, album.coverArt ? await state.client.getCoverArtUrl(album.coverArt, 150) : ''])));
+        const imageUrl = info?.largeImageUrl || info?.mediumImageUrl || artist.artistImageUrl ||
+            (artist.coverArt ? await state.client.getCoverArtUrl(artist.coverArt, 300) : '');
+        if (signal.aborted) return;
+
+        state.artistView.render({ artist, info, topSongs, imageUrl, covers });
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Failed to load artist:', error);
+        state.artistView.showMessage(`Failed to load artist: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Play a mix of songs similar to an artist
+ */
+async function playSimilarSongs(artist) {
+    try {
+        const songs = await state.client.getSimilarSongs2(artist.id, { count: SIMILAR_SONGS_COUNT });
+        if (songs.length === 0) {
+            showToast(`No similar songs found for ${artist.name}`);
+            return;
+        }
+        await playSongs(songs, 0);
+    } catch (error) {
+        showError(`Failed to load similar songs: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Load starred artists, albums and songs into the library tree
+ */
+async function loadStarred() {
+    try {
+        const starred = await state.client.getStarred();
+        state.library.starred = {
+            artist: starred.artist || [],
+            album: starred.album || [],
+            song: starred.song || []
+        };
+        renderLibraryTree();
+    } catch (error) {
+        console.error('Failed to load starred items:', error);
+    }
+}
+
+/**
+ * Show the starred songs in the playlist
+ */
+async function loadStarredSongs() {
+    const signal = supersede('tracks');
+    const tracks = await Promise.all(state.library.starred.song.map(song => songToTrack(song)));
+    if (signal.aborted) return;
+
+    state.library.currentAlbum = null;
+    state.library.currentPlaylist = null;
+    showTracks({ name: 'Starred songs', coverArt: tracks[0]?.coverArtId }, tracks);
+}
+
+/**
+ * Check whether a track can be rated and starred (server songs only)
+ */
+function isRateable(track) {
+    return Boolean(track) && !track.isLive && !track.isPodcast;
+}
+
+/**
+ * Set a field on every loaded copy of a song and refresh its rows
+ */
+function updateTrackField(id, field, value) {
+    const tracks = new Set([...state.playlist, ...state.player.getQueue(), state.currentTrack]);
+    tracks.forEach(track => {
+        if (track?.id === id) track[field] = value;
+    });
+
+    elements.playlistBody.querySelectorAll(`tr[data-id="${CSS.escape(id)}"]`).forEach(row => {
+        const track = state.playlist[Number(row.dataset.index)];
+        row.querySelector('.rating-cell').outerHTML = renderRatingCell(track);
+        row.querySelector('.heart-cell').outerHTML = renderHeartCell(track);
+    });
+}
+
+/**
+ * Rate a track, showing the new rating right away
+ * The previous rating is restored if the server rejects the change.
+ * @param {Object} track
+ * @param {number} rating - 1 to 5, or 0 to remove the rating
+ */
+async function setTrackRating(track, rating) {
+    const previous = track.userRating || 0;
+    if (rating === previous) return;
+    updateTrackField(track.id, 'userRating', rating);
+
+    try {
+        await state.client.setRating(track.id, rating);
+        state.librarySync?.updateSong(track.id, { userRating: rating || undefined });
+    } catch (error) {
+        updateTrackField(track.id, 'userRating', previous);
+        showError(`Failed to rate "${track.title}": ${describeError(error)}`);
+    }
+}
+
+/**
+ * Star or unstar a track, showing the change right away
+ * The change is undone if the server rejects it.
+ */
+async function toggleTrackStar(track) {
+    const starred = !track.starred;
+    const songs = state.library.starred.song;
+    updateTrackField(track.id, 'starred', starred);
+    updateStarredSongs(track, starred);
+
+    try {
+        if (starred) {
+            await state.client.star(track.id);
+        } else {
+            await state.client.unstar(track.id);
+        }
+        state.librarySync?.updateSong(track.id, { starred: starred ? new Date().toISOString() : undefined });
+    } catch (error) {
+        updateTrackField(track.id, 'starred', !starred);
+        state.library.starred.song = songs;
+        renderLibraryTree();
+        showError(`Failed to update favourites: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Add a track to or remove it from the starred songs in the tree
+ */
+function updateStarredSongs(track, starred) {
+    const songs = state.library.starred.song.filter(song => song.id !== track.id);
+    if (starred) {
+        songs.unshift({
+            id: track.id,
+            title: track.title,
+            artist: track.artist,
+            album: track.album,
+            albumId: track.albumId,
+            track: track.track,
+            duration: track.duration,
+            coverArt: track.coverArtId,
+            starred: new Date().toISOString(),
+            userRating: track.userRating
+        });
+    }
+    state.library.starred.song = songs;
+    renderLibraryTree();
+}
+
+/**
+ * Load server playlists into the library tree
+ */
+async function loadPlaylists() {
+    try {
+        state.library.playlists = await state.client.getPlaylists();
+        renderLibraryTree();
+    } catch (error) {
+        console.error('Failed to load playlists:', error);
+    }
+}
+
+/**
+ * Offer to resume the play queue saved on the server
+ */
+async function offerQueueResume() {
+    try {
+        const saved = await state.queueSync.fetch();
+        // Don't interrupt if the user already started something
+        if (!saved || state.player.getCurrentTrack()) return;
+
+        const song = saved.songs[saved.index];
+        const from = saved.changedBy ? ` (from ${saved.changedBy})` : '';
+        showToast(`Resume "${song.title}" at ${formatDuration(saved.position)}${from}?`, [
+            { label: 'Resume', action: () => resumeQueue(saved) },
+            { label: 'Dismiss' }
+        ]);
+    } catch (error) {
+        console.warn('Failed to fetch saved play queue:', error);
+    }
+}
+
+/**
+ * Restore a saved play queue and continue playback
+ */
+async function resumeQueue(saved) {
+    const tracks = await Promise.all(saved.songs.map(song => songToTrack(song)));
+    const current = saved.songs[saved.index];
+
+    state.library.currentAlbum = null;
+    state.library.currentPlaylist = null;
+    showTracks({ name: 'Play queue', coverArt: current.coverArt }, tracks);
+
+    const index = state.player.getQueue().indexOf(tracks[saved.index]);
+    await state.player.playIndex(index, { startTime: saved.position });
+}
+
+/**
+ * Load internet radio stations
+ */
+async function loadRadioStations() {
+    try {
+        state.library.radioStations = await state.client.getInternetRadioStations();
+        renderLibraryTree();
+    } catch (error) {
+        console.error('Failed to load radio stations:', error);
+    }
+}
+
+/**
+ * Play an internet radio station
+ */
+async function playStation(station) {
+    const track = {
+        id: `radio-${station.id}`,
+        title: station.name,
+        artist: 'Internet Radio',
+        album: station.homePageUrl || station.name,
+        streamUrl: station.streamUrl,
+        isLive: true
+    };
+
+    supersede('tracks');
+    state.library.currentAlbum = null;
+    state.library.currentPlaylist = null;
+    showTracks({ name: station.name }, [track]);
+    await state.player.playIndex(0);
+}
+
+/**
+ * Context menu items for a radio station
+ */
+function getStationMenuItems(station) {
+    const items = [{ label: 'Play', action: () => playStation(station) }];
+    if (station.homePageUrl) {
+        items.push({ label: 'Open home page', action: () => window.open(station.homePageUrl, '_blank', 'noopener') });
+    }
+    if (!state.isAdmin) return items;
+
+    return items.concat([
+        { separator: true },
+        { label: 'Edit station...', action: () => editStation(station) },
+        { label: 'Delete station', action: () => deleteStation(station) }
+    ]);
+}
+
+/**
+ * Prompt for station details and create or update it
+ */
+async function editStation(station) {
+    const name = prompt('Station name:', station?.name || '');
+    if (!name?.trim()) return;
+    const streamUrl = prompt('Stream URL:', station?.streamUrl || '');
+    if (!streamUrl?.trim()) return;
+    const homepageUrl = prompt('Home page URL (optional):', station?.homePageUrl || '');
+    if (homepageUrl === null) return;
+
+    const details = {
+        name: name.trim(),
+        streamUrl: streamUrl.trim(),
+        homepageUrl: homepageUrl.trim() || undefined
+    };
+
+    try {
+        if (station) {
+            await state.client.updateInternetRadioStation(station.id, details);
+        } else {
+            await state.client.createInternetRadioStation(details);
+        }
+        state.expandedNodes.add('group-radio');
+        await loadRadioStations();
+    } catch (error) {
+        showError(`Failed to save station: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Delete a radio station after confirmation
+ */
+async function deleteStation(station) {
+    if (!confirm(`Delete station "${station.name}"?`)) return;
+
+    try {
+        await state.client.deleteInternetRadioStation(station.id);
+        state.library.radioStations = state.library.radioStations.filter(s => s.id !== station.id);
+        renderLibraryTree();
+    } catch (error) {
+        showError(`Failed to delete station: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Load podcast channels (without episodes) into the library tree
+ */
+async function loadPodcasts() {
+    try {
+        state.library.podcasts = await state.client.getPodcasts({ includeEpisodes: false });
+        renderLibraryTree();
+    } catch (error) {
+        console.error('Failed to load podcasts:', error);
+    }
+}
+
+/**
+ * Convert a podcast episode to playlist format
+ * Episodes the server has not downloaded yet have no streamUrl.
+ */
+async function episodeToTrack(episode, channel = null) {
+    const downloaded = episode.status === 'completed' && episode.streamId;
+    return {
+        id: episode.streamId || `episode-${episode.id}`,
+        episodeId: episode.id,
+        channelId: episode.channelId,
+        isPodcast: true,
+        episodeStatus: episode.status,
+        title: episode.title,
+        artist: channel?.title || episode.artist || 'Podcast',
+        album: episode.publishDate ? new Date(episode.publishDate).toLocaleDateString() : '',
+        duration: episode.duration,
+        bitRate: episode.bitRate,
+        suffix: episode.suffix,
+        coverArtId: episode.coverArt || channel?.coverArt,
+        ...(downloaded ? await streamFields(episode.streamId, episode) : {})
+    };
+}
+
+/**
+ * Load a podcast channel and list its episodes
+ */
+async function loadPodcastChannel(channelId) {
+    const signal = supersede('tracks');
+
+    try {
+        const [channel] = await state.client.getPodcasts({ id: channelId, signal });
+        if (!channel || signal.aborted) return;
+
+        const tracks = await Promise.all((channel.episode || []).map(episode => episodeToTrack(episode, channel)));
+        if (signal.aborted) return;
+
+        state.library.currentAlbum = null;
+        state.library.currentPlaylist = null;
+        state.library.currentChannel = channel.id;
+        showTracks({ name: channel.title, coverArt: channel.coverArt }, tracks);
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Failed to load podcast:', error);
+        showError(`Failed to load podcast: ${describeError(error)}`);
+    }
+}
+
+/**
+ * List the newest episodes of all channels
+ */
+async function loadNewestEpisodes() {
+    const signal = supersede('tracks');
+
+    try {
+        const episodes = await state.client.getNewestPodcasts(50);
+        const channels = new Map(state.library.podcasts.map(c => [c.id, c]));
+        const tracks = await Promise.all(episodes.map(episode =>
+            episodeToTrack(episode, channels.get(episode.channelId))));
+        if (signal.aborted) return;
+
+        state.library.currentAlbum = null;
+        state.library.currentPlaylist = null;
+        state.library.currentChannel = null;
+        showTracks({ name: 'Newest episodes' }, tracks);
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Failed to load newest episodes:', error);
+        showError(`Failed to load newest episodes: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Reload the episode list that is currently shown
+ */
+function reloadEpisodes() {
+    if (state.library.currentChannel) {
+        loadPodcastChannel(state.library.currentChannel);
+    } else if (state.playlist.some(track => track.isPodcast)) {
+        loadNewestEpisodes();
+    }
+}
+
+/**
+ * Context menu items for a podcast channel
+ */
+function getChannelMenuItems(channel) {
+    return [
+        { label: 'Show episodes', action: () => loadPodcastChannel(channel.id) },
+        { label: 'Check for new episodes', action: () => refreshPodcasts() },
+        { separator: true },
+        { label: 'Unsubscribe', action: () => deletePodcastChannel(channel) }
+    ];
+}
+
+/**
+ * Prompt for a feed URL and subscribe to it
+ */
+async function addPodcastChannel() {
+    const url = prompt('Podcast feed URL:');
+    if (!url?.trim()) return;
+
+    try {
+        await state.client.createPodcastChannel(url.trim());
+        state.expandedNodes.add('group-podcasts');
+        await loadPodcasts();
+    } catch (error) {
+        showError(`Failed to add podcast: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Ask the server to check all channels for new episodes
+ */
+async function refreshPodcasts() {
+    try {
+        await state.client.refreshPodcasts();
+        showToast('Checking podcasts for new episodes...');
+        await loadPodcasts();
+    } catch (error) {
+        showError(`Failed to refresh podcasts: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Unsubscribe from a podcast after confirmation
+ */
+async function deletePodcastChannel(channel) {
+    if (!confirm(`Unsubscribe from "${channel.title}" and delete its episodes?`)) return;
+
+    try {
+        await state.client.deletePodcastChannel(channel.id);
+        state.library.podcasts = state.library.podcasts.filter(c => c.id !== channel.id);
+        if (state.library.currentChannel === channel.id) {
+            state.library.currentChannel = null;
+        }
+        renderLibraryTree();
+    } catch (error) {
+        showError(`Failed to unsubscribe: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Ask the server to download episodes
+ */
+async function downloadEpisodes(tracks) {
+    try {
+        await Promise.all(tracks.map(track => state.client.downloadPodcastEpisode(track.episodeId)));
+        showToast(tracks.length === 1 ? 'Episode download started' : `${tracks.length} episode downloads started`);
+        reloadEpisodes();
+    } catch (error) {
+        showError(`Failed to download episode: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Delete downloaded episodes from the server after confirmation
+ */
+async function deleteEpisodes(tracks) {
+    const label = tracks.length === 1 ? `"${tracks[0].title}"` : `${tracks.length} episodes`;
+    if (!confirm(`Delete ${label} from the server?`)) return;
+
+    try {
+        await Promise.all(tracks.map(track => state.client.deletePodcastEpisode(track.episodeId)));
+        tracks.forEach(track => state.podcastPositions.clear(track.episodeId));
+        reloadEpisodes();
+    } catch (error) {
+        showError(`Failed to delete episode: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Remember the playback position of the current podcast episode
+ */
+function savePlaybackPosition() {
+    const track = state.player.getCurrentTrack();
+    const { currentTime, duration } = state.player.getState();
+    // Position 0 is reported while a resumed episode is still loading
+    if (!track?.isPodcast || currentTime <= 0) return;
+
+    state.lastPositionSave = currentTime;
+    state.podcastPositions.set(track.episodeId, currentTime, duration || track.duration);
+}
+
+/**
+ * Get the position a track should resume from
+ * Podcast episodes use their locally saved position, other tracks their
+ * server bookmark.
+ * @returns {number} Position in seconds (0 to start from the beginning)
+ */
+function getResumePosition(track) {
+    if (track.isPodcast) return state.podcastPositions.get(track.episodeId);
+    const bookmark = state.library.bookmarks.get(track.id);
+    return bookmark ? bookmark.position / 1000 : 0;
+}
+
+/**
+ * Load the user's bookmarks into the library tree
+ */
+async function loadBookmarks() {
+    try {
+        const bookmarks = await state.client.getBookmarks();
+        state.library.bookmarks = new Map(bookmarks
+            .filter(bookmark => bookmark.entry)
+            .map(bookmark => [bookmark.entry.id, bookmark]));
+        renderLibraryTree();
+    } catch (error) {
+        console.error('Failed to load bookmarks:', error);
+    }
+}
+
+/**
+ * Save or clear the bookmark of a long track (called by the player)
+ * @param {Object} track - Track being played
+ * @param {number|null} position - Position in seconds, or null once finished
+ */
+async function saveBookmark(track, position) {
+    // Episodes keep their position locally
+    if (track.isPodcast) return;
+
+    const bookmarks = state.library.bookmarks;
+    const existing = bookmarks.get(track.id);
+    if (position === null && !existing) return;
+
+    if (position === null) {
+        bookmarks.delete(track.id);
+    } else {
+        bookmarks.set(track.id, {
+            ...existing,
+            position: Math.floor(position * 1000),
+            changed: new Date().toISOString(),
+            entry: existing?.entry || {
+                id: track.id,
+                title: track.title,
+                artist: track.artist,
+                album: track.album,
+                albumId: track.albumId,
+                duration: track.duration,
+                coverArt: track.coverArtId
+            }
+        });
+    }
+    // Only additions and removals change the tree
+    if (!existing || position === null) renderLibraryTree();
+
+    try {
+        if (position === null) {
+            await state.client.deleteBookmark(track.id);
+        } else {
+            await state.client.createBookmark(track.id, position * 1000);
+        }
+    } catch (error) {
+        console.warn('Failed to save bookmark:', error);
+    }
+}
+
+/**
+ * Play a bookmarked track from its bookmark
+ */
+async function playBookmark(bookmark) {
+    supersede('tracks');
+    const track = await songToTrack(bookmark.entry);
+
+    state.library.currentAlbum = null;
+    state.library.currentPlaylist = null;
+    showTracks({ name: 'Bookmarks', coverArt: bookmark.entry.coverArt }, [track]);
+    await state.player.playIndex(0);
+}
+
+/**
+ * Delete a bookmark from the server
+ */
+async function deleteBookmark(bookmark) {
+    try {
+        await state.client.deleteBookmark(bookmark.entry.id);
+        state.library.bookmarks.delete(bookmark.entry.id);
+        renderLibraryTree();
+    } catch (error) {
+        showError(`Failed to delete bookmark: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Play the playlist row at index
+ * Episodes that are not downloaded yet offer a download instead.
+ */
+function playTrackAt(index) {
+    const track = state.playlist[index];
+    if (!track) return;
+
+    if (track.isPodcast && !track.streamUrl) {
+        showToast(`"${track.title}" is not downloaded to the server yet.`, [
+            { label: 'Download', action: () => downloadEpisodes([track]) },
+            { label: 'Cancel' }
+        ]);
+        return;
+    }
+
+    state.player.playIndex(state.player.getQueue().indexOf(track));
+}
+
+/**
+ * Load a server playlist and display it
+ */
+async function loadPlaylist(playlistId) {
+    const signal = supersede('tracks');
+
+    try {
+        const playlist = await state.client.getPlaylist(playlistId, { signal });
+        if (!playlist || signal.aborted) return;
+
+        const tracks = await Promise.all((playlist.entry || []).map(song => songToTrack(song)));
+        if (signal.aborted) return;
+
+        state.library.currentAlbum = null;
+        state.library.currentPlaylist = playlist;
+        showTracks(playlist, tracks);
+    } catch (error) {
+        if (isAbortError(error)) return;
+        console.error('Failed to load playlist:', error);
+        showError(`Failed to load playlist: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Check whether the current user may edit a playlist
+ */
+function canEditPlaylist(playlist) {
+    return !playlist.owner || !state.client.username || playlist.owner === state.client.username;
+}
+
+/**
+ * Context menu items for a server playlist
+ */
+function getPlaylistMenuItems(playlist) {
+    const items = [
+        { label: 'Play', action: () => loadPlaylist(playlist.id).then(() => state.player.playIndex(0)) },
+        { label: 'Share...', action: () => shareItems([playlist.id], `"${playlist.name}"`) }
+    ];
+    if (!canEditPlaylist(playlist)) return items;
+
+    return items.concat([
+        { separator: true },
+        { label: 'Rename...', action: () => editPlaylist(playlist, 'name') },
+        { label: 'Edit comment...', action: () => editPlaylist(playlist, 'comment') },
+        {
+            label: 'Public',
+            checked: playlist.public,
+            action: () => updatePlaylistDetails(playlist, { public: !playlist.public })
+        },
+        { separator: true },
+        { label: 'Delete playlist', action: () => deletePlaylist(playlist) }
+    ]);
+}
+
+/**
+ * Prompt for a new playlist name or comment
+ */
+function editPlaylist(playlist, field) {
+    const label = field === 'name' ? 'Playlist name:' : 'Playlist comment:';
+    const value = prompt(label, playlist[field] || '');
+    if (value === null || (field === 'name' && !value.trim())) return;
+    updatePlaylistDetails(playlist, { [field]: field === 'name' ? value.trim() : value });
+}
+
+/**
+ * Update playlist name, comment or public flag
+ */
+async function updatePlaylistDetails(playlist, changes) {
+    try {
+        await state.client.updatePlaylist(playlist.id, changes);
+        Object.assign(playlist, changes);
+        if (state.library.currentPlaylist?.id === playlist.id) {
+            Object.assign(state.library.currentPlaylist, changes);
+        }
+        renderLibraryTree();
+    } catch (error) {
+        showError(`Failed to update playlist: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Delete a server playlist after confirmation
+ */
+async function deletePlaylist(playlist) {
+    if (!confirm(`Delete playlist "${playlist.name}"?`)) return;
+
+    try {
+        await state.client.deletePlaylist(playlist.id);
+        state.library.playlists = state.library.playlists.filter(p => p.id !== playlist.id);
+        if (state.library.currentPlaylist?.id === playlist.id) {
+            state.library.currentPlaylist = null;
+        }
+        renderLibraryTree();
+    } catch (error) {
+        showError(`Failed to delete playlist: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Save the current playlist view as a new server playlist
+ */
+async function savePlaylistAs() {
+    const suggested = state.library.currentAlbum?.name || state.library.currentPlaylist?.name || '';
+    await createPlaylistFromTracks(state.playlist, suggested);
+}
+
+/**
+ * Prompt for a name and create a playlist with the given tracks
+ */
+async function createPlaylistFromTracks(tracks, suggestedName = '') {
+    const name = prompt('Playlist name:', suggestedName);
+    if (!name?.trim()) return;
+
+    try {
+        await state.client.createPlaylist(name.trim(), tracks.map(t => t.id));
+        state.expandedNodes.add('group-playlists');
+        await loadPlaylists();
+    } catch (error) {
+        showError(`Failed to create playlist: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Append tracks to an existing server playlist
+ */
+async function addTracksToPlaylist(playlist, tracks) {
+    try {
+        await state.client.updatePlaylist(playlist.id, { songIdsToAdd: tracks.map(t => t.id) });
+        playlist.songCount = (playlist.songCount || 0) + tracks.length;
+        renderLibraryTree();
+
+        if (state.library.currentPlaylist?.id === playlist.id) {
+            await loadPlaylist(playlist.id);
+        }
+    } catch (error) {
+        showError(`Failed to add to playlist: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Move the selected entries of the open server playlist up or down
+ */
+async function moveSelectedPlaylistEntries(delta) {
+    const playlist = state.library.currentPlaylist;
+    const indices = getSelectedIndices();
+    if (!playlist || indices.length === 0) return;
+    if (indices[0] + delta < 0 || indices[indices.length - 1] + delta >= state.playlist.length) return;
+
+    // Shift each selected entry past its neighbour, starting from the moving edge
+    const tracks = [...state.playlist];
+    const order = delta < 0 ? indices : [...indices].reverse();
+    order.forEach(index => {
+        const [track] = tracks.splice(index, 1);
+        tracks.splice(index + delta, 0, track);
+    });
+
+    try {
+        await state.client.replacePlaylistSongs(playlist.id, tracks.map(t => t.id));
+        state.selection = new Set(indices.map(i => i + delta));
+        updatePlaylistEntries(playlist, tracks);
+    } catch (error) {
+        showError(`Failed to reorder playlist: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Remove the selected entries from the open server playlist
+ */
+async function removeSelectedFromPlaylist() {
+    const playlist = state.library.currentPlaylist;
+    const indices = getSelectedIndices();
+    if (!playlist || indices.length === 0) return;
+
+    try {
+        await state.client.updatePlaylist(playlist.id, { songIndexesToRemove: indices });
+        const removed = new Set(indices);
+        state.selection.clear();
+        updatePlaylistEntries(playlist, state.playlist.filter((_, i) => !removed.has(i)));
+    } catch (error) {
+        showError(`Failed to remove from playlist: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Apply a new entry list to the open server playlist and the play queue
+ */
+function updatePlaylistEntries(playlist, tracks) {
+    state.playlist = tracks;
+    state.playlistHeader = playlist;
+    state.player.replace(tracks);
+
+    const summary = state.library.playlists.find(p => p.id === playlist.id);
+    if (summary) summary.songCount = tracks.length;
+
+    renderPlaylist(playlist, tracks);
+    renderLibraryTree();
+}
+
+/**
+ * Get selected playlist row indices in ascending order
+ */
+function getSelectedIndices() {
+    return Array.from(state.selection).sort((a, b) => a - b);
+}
+
+/**
+ * Get selected tracks in playlist order
+ */
+function getSelectedTracks() {
+    return getSelectedIndices().map(i => state.playlist[i]).filter(Boolean);
+}
+
+/**
+ * Handle playlist row click (Ctrl toggles, Shift selects a range)
+ */
+function handlePlaylistRowClick(e, index) {
+    if (e.shiftKey && state.selectionAnchor >= 0) {
+        const [from, to] = [Math.min(state.selectionAnchor, index), Math.max(state.selectionAnchor, index)];
+        state.selection = new Set(Array.from({ length: to - from + 1 }, (_, i) => from + i));
+    } else if (e.ctrlKey || e.metaKey) {
+        if (state.selection.has(index)) {
+            state.selection.delete(index);
+        } else {
+            state.selection.add(index);
+        }
+        state.selectionAnchor = index;
+    } else {
+        state.selection = new Set([index]);
+        state.selectionAnchor = index;
+    }
+    updateSelectionHighlight();
+}
+
+/**
+ * Reflect the selection in the playlist rows
+ */
+function updateSelectionHighlight() {
+    elements.playlistBody.querySelectorAll('tr').forEach(row => {
+        row.classList.toggle('selected', state.selection.has(Number(row.dataset.index)));
+    });
+}
+
+/**
+ * Handle playlist row right-click
+ */
+function handlePlaylistContextMenu(e, index) {
+    e.preventDefault();
+    if (!state.selection.has(index)) {
+        state.selection = new Set([index]);
+        state.selectionAnchor = index;
+        updateSelectionHighlight();
+    }
+
+    const tracks = getSelectedTracks();
+    const editable = state.library.playlists.filter(canEditPlaylist);
+    const track = state.playlist[index];
+    const items = [
+        { label: 'Play', action: () => playTrackAt(index) },
+        { label: 'Play next', action: () => playSelectedNext() },
+        { label: 'Add to queue', action: () => queueSelected() },
+        { label: 'Remove from queue', action: () => removeSelectedFromQueue() },
+        { separator: true },
+        { label: 'Go to artist', disabled: !track.artistId, action: () => showArtistPage(track.artistId) },
+        {
+            label: 'Start radio',
+            disabled: !isRateable(track),
+            items: [
+                { label: 'From this track', action: () => startTrackRadio(track) },
+                {
+                    label: 'From this artist',
+                    disabled: !track.artistId,
+                    action: () => startRadio({ type: 'artist', id: track.artistId, name: track.artist })
+                },
+                {
+                    label: track.genre ? `From this genre (${track.genre})` : 'From this genre',
+                    disabled: !track.genre,
+                    action: () => startRadio({ type: 'genre', name: track.genre, genre: track.genre })
+                }
+            ]
+        },
+        {
+            label: 'Share...',
+            disabled: !tracks.some(isRateable),
+            action: () => {
+                const songs = tracks.filter(isRateable);
+                shareItems(songs.map(t => t.id), songs.length === 1 ? `"${songs[0].title}"` : `${songs.length} tracks`);
+            }
+        },
+        { separator: true },
+        {
+            label: 'Add to playlist',
+            items: [
+                ...editable.map(playlist => ({
+                    label: playlist.name,
+                    action: () => addTracksToPlaylist(playlist, tracks)
+                })),
+                ...(editable.length > 0 ? [{ separator: true }] : []),
+                { label: 'New playlist...', action: () => createPlaylistFromTracks(tracks) }
+            ]
+        }
+    ];
+
+    const episodes = tracks.filter(track => track.isPodcast);
+    if (episodes.length > 0) {
+        const pending = episodes.filter(track => !track.streamUrl && track.episodeStatus !== 'downloading');
+        const downloaded = episodes.filter(track => track.streamUrl);
+        items.push(
+            { separator: true },
+            { label: 'Download episode', disabled: pending.length === 0, action: () => downloadEpisodes(pending) },
+            { label: 'Delete episode', disabled: downloaded.length === 0, action: () => deleteEpisodes(downloaded) }
+        );
+    }
+
+    const playlist = state.library.currentPlaylist;
+    if (playlist && canEditPlaylist(playlist)) {
+        items.push(
+            { separator: true },
+            { label: 'Move up', action: () => moveSelectedPlaylistEntries(-1) },
+            { label: 'Move down', action: () => moveSelectedPlaylistEntries(1) },
+            { label: 'Remove from playlist', action: () => removeSelectedFromPlaylist() }
+        );
+    }
+
+    state.contextMenu.show(e.clientX, e.clientY, items);
+}
+
+/**
+ * Switch the main content area between the playlist and other views
+ */
+function showContentView(view) {
+    state.contentView = view;
+    elements.playlistView.style.display = view === 'playlist' ? '' : 'none';
+    elements.lyricsView.style.display = view === 'lyrics' ? '' : 'none';
+    elements.artistView.style.display = view === 'artist' ? '' : 'none';
+
+    if (view === 'lyrics') {
+        loadLyrics(state.currentTrack);
+    }
+}
+
+/**
+ * Load and display lyrics for a track
+ * Prefers OpenSubsonic structured lyrics, falling back to getLyrics
+ * (whose text may be LRC) on servers without songLyrics.
+ */
+async function loadLyrics(track) {
+    if (!track) {
+        state.lyricsPanel.showMessage('Nothing playing');
+        return;
+    }
+    if (track.isLive) {
+        state.lyricsPanel.showMessage('No lyrics for live streams');
+        return;
+    }
+
+    const signal = supersede('lyrics');
+    let lyrics = state.lyricsCache.get(track.id);
+
+    if (lyrics === undefined) {
+        state.lyricsPanel.showMessage('Loading lyrics...');
+        try {
+            if (state.client.supports('songLyrics')) {
+                lyrics = pickLyrics(await state.client.getLyricsBySongId(track.id));
+            }
+            if (!lyrics) {
+                const result = await state.client.getLyrics(track.artist, track.title);
+                lyrics = result ? parseLrc(result.value) : null;
+            }
+            state.lyricsCache.set(track.id, lyrics);
+        } catch (error) {
+            if (!signal.aborted) {
+                state.lyricsPanel.showMessage(`Failed to load lyrics: ${describeError(error)}`);
+            }
+            return;
+        }
+    }
+
+    // Another track started while we were loading
+    if (signal.aborted) return;
+    state.lyricsPanel.setLyrics(lyrics);
+    state.lyricsPanel.update(state.player.getState().currentTime);
+}
+
+/**
+ * Render playlist view
+ */
+async function renderPlaylist(album, tracks) {
+    const tbody = elements.playlistBody;
+    const coverUrl = album.coverArt ? await state.client.getCoverArtUrl(album.coverArt, 100) : '';
+    
+    let html = '';
+    
+    tracks.forEach((track, i) => {
+        // Queue entries are distinct objects, so a duplicated song is only active where it plays
+        const isActive = state.currentTrack === track;
+        const classes = ['track-row'];
+        if (i === 0) classes.push('group-row');
+        if (isActive) classes.push('active');
+        if (state.selection.has(i)) classes.push('selected');
+
+        html += `<tr class="${classes.join(' ')}" data-id="${track.id}" data-index="${i}">`;
+
+        // First row carries the album cover
+        if (i === 0) {
+            html += `<td rowspan="${tracks.length}" class="album-cover-cell">
+                <div class="cover-wrapper">
+                    ${coverUrl ? `<img src="${coverUrl}" alt="Album Cover">` : ''}
+                </div>
+            </td>`;
+        }
+
+        html += `<td class="playing-indicator">${isActive ? '▶' : ''}</td>
+            <td class="text-blue">${escapeHtml(track.artist)} - ${escapeHtml(track.album)}</td>
+            <td>${String(track.track || i + 1).padStart(2, '0')}</td>
+            <td>${escapeHtml(track.title)}${renderEpisodeStatus(track)}</td>
+            <td>${formatDuration(track.duration)}</td>
+            ${renderRatingCell(track)}
+            ${renderHeartCell(track)}
+        </tr>`;
+    });
+
+    tbody.innerHTML = html;
+
+    tbody.querySelectorAll('tr').forEach(row => {
+        const index = Number(row.dataset.index);
+
+        // Double-click starts playback
+        row.addEventListener('dblclick', (e) => {
+            if (e.target.closest('.rating-cell, .heart-cell')) return;
+            playTrackAt(index);
+        });
+        row.addEventListener('click', (e) => {
+            const track = state.playlist[index];
+            const star = e.target.closest('.rating-star');
+            if (star) {
+                // Clicking the current rating clears it
+                const rating = Number(star.dataset.rating);
+                setTrackRating(track, rating === track.userRating ? 0 : rating);
+            } else if (e.target.closest('.heart-toggle')) {
+                toggleTrackStar(track);
+            } else {
+                handlePlaylistRowClick(e, index);
+            }
+        });
+        row.addEventListener('contextmenu', (e) => handlePlaylistContextMenu(e, index));
+        bindRowDrag(row, index);
+    });
+}
+
+/**
+ * Let a playlist row be dragged to reorder the queue
+ * Dragging a selected row moves the whole selection; it lands before or
+ * after the row it is dropped on, depending on which half is hit.
+ */
+function bindRowDrag(row, index) {
+    const dropsAfter = (e) => {
+        const rect = row.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    };
+
+    row.draggable = true;
+    row.addEventListener('dragstart', (e) => {
+        if (!state.selection.has(index)) {
+            state.selection = new Set([index]);
+            state.selectionAnchor = index;
+            updateSelectionHighlight();
+        }
+        state.dragRows = getSelectedIndices();
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', getSelectedTracks().map(t => t.title).join('\n'));
+    });
+    row.addEventListener('dragover', (e) => {
+        // The album cover spans all rows and is no drop target
+        if (!state.dragRows || e.target.closest('.album-cover-cell')) return;
+        e.preventDefault();
+        const after = dropsAfter(e);
+        clearDropMarkers();
+        row.classList.add(after ? 'drop-after' : 'drop-before');
+    });
+    row.addEventListener('drop', (e) => {
+        if (!state.dragRows) return;
+        e.preventDefault();
+        moveQueueRows(state.dragRows, index + (dropsAfter(e) ? 1 : 0));
+    });
+    row.addEventListener('dragend', () => {
+        state.dragRows = null;
+        clearDropMarkers();
+    });
+}
+
+/**
+ * Remove the drop position markers from the playlist rows
+ */
+function clearDropMarkers() {
+    elements.playlistBody.querySelectorAll('.drop-before, .drop-after').forEach(row => {
+        row.classList.remove('drop-before', 'drop-after');
+    });
+}
+
+/**
+ * Show the play queue after editing it
+ * An edited server playlist no longer matches the server, so the view
+ * becomes a plain play queue; the playlist itself is left alone.
+ * @param {Set<number>} selection - Rows to select afterwards
+ */
+function showEditedQueue(selection = new Set()) {
+    state.playlist = [...state.player.queue];
+    if (state.library.currentPlaylist) {
+        state.library.currentPlaylist = null;
+        state.playlistHeader = { name: 'Play queue', coverArt: state.playlistHeader.coverArt };
+        renderLibraryTree();
+    }
+    state.selection = selection;
+    state.selectionAnchor = -1;
+    renderPlaylist(state.playlistHeader, state.playlist);
+    state.queueSync?.schedule();
+}
+
+/**
+ * Queue the selected rows again, right after the current track
+ */
+function playSelectedNext() {
+    // Copies, so each queue entry stays a distinct track
+    const tracks = getSelectedTracks().map(track => ({ ...track }));
+    if (tracks.length === 0) return;
+    state.player.insertNext(tracks);
+    showEditedQueue();
+    showToast(tracks.length === 1 ? `"${tracks[0].title}" plays next` : `${tracks.length} tracks play next`);
+}
+
+/**
+ * Queue the selected rows again at the end of the queue
+ */
+function queueSelected() {
+    const tracks = getSelectedTracks().map(track => ({ ...track }));
+    if (tracks.length === 0) return;
+    state.player.addToQueue(tracks);
+    showEditedQueue();
+    showToast(tracks.length === 1 ? `Queued "${tracks[0].title}"` : `Queued ${tracks.length} tracks`);
+}
+
+/**
+ * Remove the selected rows from the play queue
+ */
+function removeSelectedFromQueue() {
+    const indices = getSelectedIndices();
+    if (indices.length === 0) return;
+    state.player.remove(indices);
+    showEditedQueue();
+}
+
+/**
+ * Move queue rows to a new place
+ * @param {Array<number>} indices - Rows to move, ascending
+ * @param {number} before - Row they are moved in front of (rows.length for the end)
+ */
+function moveQueueRows(indices, before) {
+    const to = before - indices.filter(i => i < before).length;
+    if (indices.every((row, k) => row === to + k)) return;
+    state.player.move(indices, to);
+    showEditedQueue(new Set(indices.map((_, k) => to + k)));
+}
+
+/**
+ * Render the rating cell of a playlist row
+ */
+function renderRatingCell(track) {
+    if (!isRateable(track)) return '<td class="rating-cell"></td>';
+
+    let stars = '';
+    for (let rating = 1; rating <= 5; rating++) {
+        const filled = rating <= (track.userRating || 0) ? ' filled' : '';
+        stars += `<span class="rating-star${filled}" data-rating="${rating}">★</span>`;
+    }
+    return `<td class="rating-cell" title="Rating">${stars}</td>`;
+}
+
+/**
+ * Render the favourite toggle cell of a playlist row
+ */
+function renderHeartCell(track) {
+    if (!isRateable(track)) return '<td class="heart-cell"></td>';
+
+    const title = track.starred ? 'Remove from favourites' : 'Add to favourites';
+    return `<td class="heart-cell"><span class="heart-toggle${track.starred ? ' starred' : ''}"
+        title="${title}">${track.starred ? '♥' : '♡'}</span></td>`;
+}
+
+/**
+ * Render the download status and resume point of a podcast episode
+ */
+function renderEpisodeStatus(track) {
+    if (!track.isPodcast) return '';
+
+    const position = state.podcastPositions.get(track.episodeId);
+    if (track.streamUrl) {
+        return position > 0 ? ` <span class="episode-status">[at ${formatDuration(position)}]</span>` : '';
+    }
+    return ` <span class="episode-status">[${escapeHtml(track.episodeStatus || 'not downloaded')}]</span>`;
+}
+
+/**
+ * Highlight current track in playlist
+ */
+function highlightCurrentTrack(track) {
+    const tbody = elements.playlistBody;
+    tbody.querySelectorAll('tr').forEach(row => {
+        row.classList.remove('active');
+        const playIndicator = row.querySelector('.playing-indicator');
+        if (playIndicator) playIndicator.textContent = '';
+    });
+
+    if (track) {
+        const rows = tbody.querySelectorAll('tr');
+        const index = state.playlist.indexOf(track);
+        if (index >= 0 && rows[index]) {
+            rows[index].classList.add('active');
+            const playIndicator = rows[index].querySelector('.playing-indicator');
+            if (playIndicator) playIndicator.textContent = '▶';
+        }
+    }
+}
+
+/**
+ * Update now playing info
+ */
+function updateNowPlaying(track) {
+    if (!track) return;
+
+    document.title = `${track.title} - ${track.artist} - SomeSonic`;
+    elements.statusStreamTitle.textContent = '';
+    elements.statusStreamTitle.style.display = 'none';
+    
+    // Update status bar with what the server delivers, which differs from the file when transcoding
+    const { suffix, bitRate } = track.delivered || track;
+    elements.statusFormat.textContent = track.isLive ? 'STREAM' : (suffix || '---').toUpperCase();
+    elements.statusFormat.title = track.transcoded ? `Transcoded from ${(track.suffix || '?').toUpperCase()}` : '';
+    elements.statusBitrate.textContent = bitRate ? `${bitRate} kbps` : '--- kbps';
+    elements.statusSamplerate.textContent = DEFAULT_SAMPLE_RATE;
+    elements.statusChannels.textContent = 'stereo';
+}
+
+/**
+ * Update sidebar cover art
+ */
+async function updateSidebarCover(track) {
+    if (!track?.coverArtId) return;
+
+    try {
+        const coverUrl = await state.client.getCoverArtUrl(track.coverArtId, 300);
+        elements.sidebarCover.src = coverUrl;
+        elements.sidebarCover.style.display = 'block';
+        elements.coverPlaceholder.style.display = 'none';
+        elements.coverOverlayText.textContent = `${track.artist} - ${track.album}`.toLowerCase();
+    } catch (error) {
+        console.error('Failed to load cover art:', error);
+    }
+}
+
+/**
+ * Update sidebar cover from album
+ */
+async function updateSidebarCoverFromAlbum(album) {
+    if (!album?.coverArt) return;
+
+    try {
+        const coverUrl = await state.client.getCoverArtUrl(album.coverArt, 300);
+        elements.sidebarCover.src = coverUrl;
+        elements.sidebarCover.style.display = 'block';
+        elements.coverPlaceholder.style.display = 'none';
+        elements.coverOverlayText.textContent = `${album.artist} - ${album.name}`.toLowerCase();
+    } catch (error) {
+        console.error('Failed to load cover art:', error);
+    }
+}
+
+/**
+ * Filter library
+ */
+function filterLibrary(query) {
+    renderLibraryTree();
+}
+
+/**
+ * Create a share for songs, albums or playlists and copy its URL
+ * @param {Array<string>} ids - IDs of the shared items
+ * @param {string} label - What is shared, for the prompts
+ */
+async function shareItems(ids, label) {
+    const description = prompt(`Description for the share of ${label} (optional):`, '');
+    if (description === null) return;
+    const days = prompt('Expire after how many days? (leave empty to never expire)', '');
+    if (days === null) return;
+
+    try {
+        const share = await state.client.createShare(ids, {
+            description: description.trim() || undefined,
+            expires: Number(days) > 0 ? Date.now() + Number(days) * DAY_MS : undefined
+        });
+        if (share?.url) await copyShareUrl(share.url);
+    } catch (error) {
+        showError(`Failed to create share: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Copy a share URL to the clipboard, or show it if that is not allowed
+ */
+async function copyShareUrl(url) {
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast(`Share link copied: ${url}`);
+    } catch {
+        prompt('Copy the share link:', url);
+    }
+}
+
+/**
+ * Show the shares manager
+ */
+async function showSharesModal() {
+    elements.sharesBody.innerHTML = '<tr><td colspan="5" class="shares-empty">Loading shares...</td></tr>';
+    elements.sharesModal.style.display = 'flex';
+
+    try {
+        renderShares(await state.client.getShares());
+    } catch (error) {
+        elements.sharesBody.innerHTML = '';
+        hideSharesModal();
+        showError(`Failed to load shares: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Hide the shares manager
+ */
+function hideSharesModal() {
+    elements.sharesModal.style.display = 'none';
+}
+
+/**
+ * Render the shares table
+ * Description and expiry are edited in place and saved on change.
+ */
+function renderShares(shares) {
+    const tbody = elements.sharesBody;
+    if (shares.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="shares-empty">No shares yet</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = '';
+    shares.forEach(share => {
+        const entries = share.entry || [];
+        const items = entries.length === 1 ? entries[0].title : `${entries.length} items`;
+        const expires = share.expires ? toDateInputValue(new Date(share.expires)) : '';
+
+        const row = document.createElement('tr');
+        row.innerHTML = `<td><input type="text" class="share-description" placeholder="No description"></td>
+            <td class="share-items">${escapeHtml(items)}</td>
+            <td>${share.visitCount || 0}</td>
+            <td><input type="date" class="share-expires" value="${expires}" title="Empty never expires"></td>
+            <td><button class="share-copy">Copy link</button><button class="share-delete">Delete</button></td>`;
+        // Server text goes through the DOM; escapeHtml does not escape quotes for attributes
+        row.querySelector('.share-description').value = share.description || '';
+        row.querySelector('.share-items').title = entries.map(e => e.title).join(', ');
+
+        row.querySelector('.share-description').addEventListener('change', (e) => {
+            updateShare(share, { description: e.target.value.trim() });
+        });
+        row.querySelector('.share-expires').addEventListener('change', (e) => {
+            // Expire at the end of the chosen day; 0 removes the expiry
+            const date = e.target.value ? new Date(`${e.target.value}T23:59:59`) : null;
+            updateShare(share, { expires: date ? date.getTime() : 0 });
+        });
+        row.querySelector('.share-copy').addEventListener('click', () => copyShareUrl(share.url));
+        row.querySelector('.share-delete').addEventListener('click', () => deleteShare(share));
+
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time, as date inputs expect
+ */
+function toDateInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Save a change to a share
+ */
+async function updateShare(share, changes) {
+    try {
+        await state.client.updateShare(share.id, { description: share.description, ...changes });
+        Object.assign(share, changes);
+    } catch (error) {
+        showError(`Failed to update share: ${describeError(error)}`);
+        showSharesModal();
+    }
+}
+
+/**
+ * Delete a share after confirmation
+ */
+async function deleteShare(share) {
+    if (!confirm(`Delete the share "${share.description || share.url}"? Its link will stop working.`)) return;
+
+    try {
+        await state.client.deleteShare(share.id);
+        showSharesModal();
+    } catch (error) {
+        showError(`Failed to delete share: ${describeError(error)}`);
+    }
+}
+
+/**
+ * Show settings modal
+ */
+function showSettingsModal(profileId = state.profile?.id || null) {
+    fillProfileForm(profileId && state.profiles.get(profileId));
+    elements.bookmarkThreshold.value = state.settings.bookmarkMinutes;
+    elements.credentialStorage.value = state.profiles.storage;
+    elements.credentialStorage.querySelector(`option[value="${CredentialStorage.ENCRYPTED}"]`).disabled =
+        !isVaultSupported();
+    updatePassphraseFields();
+    elements.connectionStatus.className = '';
+    elements.connectionStatus.textContent = '';
+    elements.settingsModal.style.display = 'flex';
+}
+
+/**
+ * Show the passphrase fields when encrypted storage is chosen
+ * An existing passphrase is kept unless a new one is entered.
+ */
+function updatePassphraseFields() {
+    const encrypted = elements.credentialStorage.value === CredentialStorage.ENCRYPTED;
+    elements.passphraseGroup.style.display = encrypted ? '' : 'none';
+    elements.masterPassphrase.value = '';
+    elements.masterPassphraseConfirm.value = '';
+    elements.masterPassphrase.placeholder = state.profiles.storage === CredentialStorage.ENCRYPTED
+        ? 'Leave empty to keep the current passphrase'
+        : 'Passphrase';
+}
+
+/**
+ * Ask for the master passphrase until the saved credentials are unlocked
+ * @returns {Promise<void>} Resolves once unlocked or the credentials were forgotten
+ */
+function showUnlockModal() {
+    elements.unlockPassphrase.value = '';
+    elements.unlockStatus.className = '';
+    elements.unlockStatus.textContent = '';
+    elements.unlockModal.style.display = 'flex';
+    elements.unlockPassphrase.focus();
+
+    return new Promise(resolve => {
+        const form = document.getElementById('unlock-form');
+        const forget = document.getElementById('forget-credentials');
+        const done = () => {
+            form.removeEventListener('submit', onSubmit);
+            forget.removeEventListener('click', onForget);
+            elements.unlockModal.style.display = 'none';
+            resolve();
+        };
+        const onSubmit = async (e) => {
+            e.preventDefault();
+            elements.unlockStatus.className = '';
+            elements.unlockStatus.textContent = '';
+            try {
+                await state.profiles.unlock(elements.unlockPassphrase.value);
+                done();
+            } catch (error) {
+                elements.unlockStatus.className = 'error';
+                elements.unlockStatus.textContent = describeError(error);
+                elements.unlockPassphrase.select();
+            }
+        };
+        const onForget = async () => {
+            if (!confirm('Forget all saved passwords and API keys? Your server profiles are kept.')) return;
+            await state.profiles.forgetCredentials();
+            done();
+        };
+        form.addEventListener('submit', onSubmit);
+        forget.addEventListener('click', onForget);
+    });
+}
+
+/**
+ * Check whether a server takes the API key, so the password need not be stored
+ * @returns {Promise<boolean>}
+ */
+async function acceptsApiKey(serverUrl, username, password, apiKey) {
+    const probe = new SubsonicClient();
+    probe.setCredentials(serverUrl, username, password, apiKey);
+    try {
+        return await probe.ping() && probe.usesApiKey();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Apply the credential storage chosen in the settings modal
+ * @returns {Promise<boolean>} False if the passphrase fields need fixing
+ */
+async function saveCredentialStorage() {
+    const storage = elements.credentialStorage.value;
+    const passphrase = elements.masterPassphrase.value;
+    if (storage === state.profiles.storage && !passphrase) return true;
+
+    if (passphrase !== elements.masterPassphraseConfirm.value) {
+        showConnectionStatus('The passphrases do not match', false);
+        return false;
+    }
+    try {
+        await state.profiles.setStorage(storage, passphrase);
+        return true;
+    } catch (error) {
+        showConnectionStatus(describeError(error), false);
+        return false;
+    }
+}
+
+/**
+ * Show a profile in the settings form (a blank form for a new profile)
+ * @param {Object|undefined} profile
+ */
+function fillProfileForm(profile) {
+    state.editingProfileId = profile?.id || null;
+
+    const options = state.profiles.list().map(p =>
+        `<option value="${p.id}">${escapeHtml(p.name)}${p.id === state.profiles.defaultId ? ' (default)' : ''}</option>`);
+    if (!profile) options.push('<option value="">New profile</option>');
+    elements.profileSelect.innerHTML = options.join('');
+    elements.profileSelect.value = profile?.id || '';
+
+    elements.profileName.value = profile?.name || '';
+    elements.serverUrl.value = profile?.serverUrl || '';
+    elements.username.value = profile?.username || '';
+    elements.password.value = profile?.password || '';
+    elements.apiKey.value = profile?.apiKey || '';
+    elements.profileDefault.checked = profile
+        ? profile.id === state.profiles.defaultId
+        : state.profiles.list().length === 0;
+    elements.deleteProfile.disabled = !profile;
+    elements.connectionStatus.className = '';
+    elements.connectionStatus.textContent = '';
+}
+
+/**
+ * Delete the profile shown in the settings modal
+ */
+async function deleteProfile() {
+    const profile = state.profiles.get(state.editingProfileId);
+    if (!profile || !confirm(`Delete the server profile "${profile.name}" and its cached data?`)) return;
+
+    const wasActive = profile === state.profile;
+    if (wasActive) {
+        resetSession();
+        state.librarySync?.cache.close();
+        state.librarySync = null;
+    }
+    await state.profiles.remove(profile.id);
+
+    // Drop the profile's library caches
+    try {
+        const databases = await indexedDB.databases?.() || [];
+        databases
+            .filter(db => db.name?.startsWith(`somesonic-library:${profile.id}:`))
+            .forEach(db => indexedDB.deleteDatabase(db.name));
+    } catch (error) {
+        console.warn('Failed to delete cached library:', error);
+    }
+
+    if (wasActive) {
+        activateProfile(state.profiles.getDefault());
+        if (hasCredentials(state.settings)) connectToServer();
+    }
+    fillProfileForm(state.profile || state.profiles.getDefault());
+}
+
+/**
+ * Hide settings modal
+ */
+function hideSettingsModal() {
+    elements.settingsModal.style.display = 'none';
 }
 
 /**
  * Save settings
- * Note: Password is base64 encoded for basic obfuscation only.
- * For production use, consider using the Web Crypto API for encryption
- * or implementing OAuth/token-based authentication if supported by the server.
+ * Saves the profile shown in the modal and connects to it. When the
+ * server takes the API key, the password is not stored at all.
  */
 async function saveSettings() {
-    state.settings.serverUrl = elements.serverUrl.value.trim();
-    state.settings.username = elements.username.value.trim();
-    state.settings.password = elements.password.value;
+    if (!await saveCredentialStorage()) return;
 
-    // Save to localStorage with base64 obfuscation (not secure encryption)
-    localStorage.setItem('somesonic_settings', JSON.stringify({
-        serverUrl: state.settings.serverUrl,
-        username: state.settings.username,
-        password: btoa(state.settings.password)
-    }));
+    const serverUrl = elements.serverUrl.value.trim();
+    const username = elements.username.value.trim();
+    const apiKey = elements.apiKey.value.trim();
+    let password = elements.password.value;
+    if (password && apiKey && await acceptsApiKey(serverUrl, username, password, apiKey)) {
+        password = '';
+    }
+
+    const profile = await state.profiles.save({
+        id: state.editingProfileId || undefined,
+        name: elements.profileName.value.trim() || nameFromUrl(serverUrl),
+        serverUrl,
+        username,
+        password,
+        apiKey
+    });
+    if (elements.profileDefault.checked) await state.profiles.setDefault(profile.id);
 
+    state.settings.bookmarkMinutes = Math.max(0, Number(elements.bookmarkThreshold.value) || 0);
+    state.player.bookmarkThreshold = state.settings.bookmarkMinutes * 60;
+    savePreferences();
+
+    if (profile !== state.profile) {
+        await state.queueSync?.save();
+        resetSession();
+    }
+    activateProfile(profile);
     await connectToServer();
 }
 
 /**
- * Load settings from localStorage
+ * Load app preferences from localStorage (credentials live in the profiles)
  */
 function loadSettings() {
     try {
         const saved = localStorage.getItem('somesonic_settings');
         if (saved) {
             const settings = JSON.parse(saved);
-            state.settings.serverUrl = settings.serverUrl || '';
-            state.settings.username = settings.username || '';
-            state.settings.password = settings.password ? atob(settings.password) : '';
+            state.settings.bookmarkMinutes = settings.bookmarkMinutes ?? DEFAULT_BOOKMARK_MINUTES;
+            if (settings.streamingProfile in STREAMING_PROFILES || settings.streamingProfile === CUSTOM_PROFILE) {
+                state.settings.streamingProfile = settings.streamingProfile;
+            }
+            if (settings.customStream) state.settings.customStream = settings.customStream;
+            state.settings.gapless = settings.gapless ?? true;
+            state.settings.crossfade = settings.crossfade || 0;
+            if (settings.crossfadeCurve in CROSSFADE_CURVES) state.settings.crossfadeCurve = settings.crossfadeCurve;
+            if (settings.replayGain?.mode in REPLAY_GAIN_MODES) state.settings.replayGain = settings.replayGain;
         }
     } catch (error) {
         console.error('Failed to load settings:', error);
     }
 }
 
+/**
+ * Save app preferences to localStorage
+ */
+function savePreferences() {
+    const {
+        bookmarkMinutes, streamingProfile, customStream, gapless, crossfade, crossfadeCurve, replayGain
+    } = state.settings;
+    localStorage.setItem('somesonic_settings', JSON.stringify({
+        bookmarkMinutes, streamingProfile, customStream, gapless, crossfade, crossfadeCurve, replayGain
+    }));
+}
+
+/**
+ * Change the ReplayGain settings
+ * @param {Object} changes - Any of { mode, preamp, fallback }
+ */
+function setReplayGain(changes) {
+    state.settings.replayGain = { ...state.settings.replayGain, ...changes };
+    state.player.setReplayGain(state.settings.replayGain);
+    savePreferences();
+}
+
+/**
+ * Ask for a ReplayGain level
+ * @param {string} key - 'preamp' or 'fallback'
+ * @param {string} message - Prompt text
+ */
+function editReplayGainLevel(key, message) {
+    const input = prompt(message, state.settings.replayGain[key]);
+    if (input === null) return;
+    const db = Number(input.replace(',', '.'));
+    if (!input.trim() || !Number.isFinite(db) || Math.abs(db) > 20) {
+        showError('Enter a gain between -20 and 20 dB');
+        return;
+    }
+    setReplayGain({ [key]: db });
+}
+
+/**
+ * Format a gain for display
+ * @param {number} db
+ * @returns {string} e.g. "+6 dB"
+ */
+function formatDecibels(db) {
+    return `${db > 0 ? '+' : ''}${db} dB`;
+}
+
+/**
+ * Storage key of the equalizer settings (per profile)
+ * @returns {string}
+ */
+function equalizerKey() {
+    return state.profile ? profileKey(state.profile, EQUALIZER_KEY) : 'somesonic_equalizer';
+}
+
+/**
+ * Save the equalizer settings
+ */
+function saveEqualizer() {
+    localStorage.setItem(equalizerKey(), JSON.stringify(state.player.equalizer.getSettings()));
+}
+
+/**
+ * Storage key of the saved equalizer presets (per profile)
+ * @returns {string}
+ */
+function eqPresetsKey() {
+    return state.profile ? profileKey(state.profile, EQ_PRESETS_KEY) : 'somesonic_eq_presets';
+}
+
+/**
+ * Save the user's equalizer presets
+ */
+function saveEqPresets() {
+    localStorage.setItem(eqPresetsKey(), JSON.stringify(state.eqPresets));
+}
+
+/**
+ * Show the equalizer
+ * The filters only exist in the audio graph, so it is created here if
+ * nothing has played yet.
+ */
+function showEqualizerModal() {
+    state.player.initAudioContext();
+    elements.eqModal.style.display = 'flex';
+    renderEqualizer();
+}
+
+/**
+ * Hide the equalizer
+ */
+function hideEqualizerModal() {
+    elements.eqModal.style.display = 'none';
+}
+
+/**
+ * Render the whole equalizer panel from the current settings
+ */
+function renderEqualizer() {
+    const equalizer = state.player.equalizer;
+    elements.eqEnabled.checked = equalizer.enabled;
+    renderEqPresets();
+    renderEqBands();
+    drawEqualizerCurve();
+}
+
+/**
+ * Fill the preset selector
+ * Option values are 'built-in:<index>' or 'saved:<index>'; edited
+ * settings show as Custom.
+ */
+function renderEqPresets() {
+    const name = state.player.equalizer.preset;
+    const savedIndex = state.eqPresets.findIndex(preset => preset.name === name);
+    const builtInIndex = BUILT_IN_PRESETS.findIndex(preset => preset.name === name);
+    const selected = savedIndex >= 0 ? `saved:${savedIndex}` : builtInIndex >= 0 ? `built-in:${builtInIndex}` : '';
+
+    const options = (presets, kind) => presets.map((preset, i) =>
+        `<option value="${kind}:${i}">${escapeHtml(preset.name)}</option>`).join('');
+    elements.eqPreset.innerHTML = `${selected ? '' : '<option value="">Custom</option>'}
+        <optgroup label="Built-in">${options(BUILT_IN_PRESETS, 'built-in')}</optgroup>
+        ${state.eqPresets.length > 0 ? `<optgroup label="Saved">${options(state.eqPresets, 'saved')}</optgroup>` : ''}`;
+    elements.eqPreset.value = selected;
+    elements.eqDeletePreset.disabled = savedIndex < 0;
+}
+
+/**
+ * Render the pre-amp and band controls
+ * Gains change live while dragging and are saved when released.
+ */
+function renderEqBands() {
+    const equalizer = state.player.equalizer;
+    const slider = (value) => `<input type="range" min="${-EQ_GAIN_RANGE}" max="${EQ_GAIN_RANGE}" step="0.5" value="${value}">`;
+
+    elements.eqBands.innerHTML = '';
+    const preamp = document.createElement('div');
+    preamp.className = 'eq-band';
+    preamp.innerHTML = `<span>${formatDecibels(equalizer.preamp)}</span>${slider(equalizer.preamp)}<span>Pre-amp</span>`;
+    bindEqSlider(preamp, db => equalizer.setPreamp(db));
+    elements.eqBands.appendChild(preamp);
+
+    equalizer.bands.forEach((band, i) => {
+        const shelf = i === 0 || i === equalizer.bands.length - 1;
+        const column = document.createElement('div');
+        column.className = 'eq-band';
+        column.innerHTML = `<span>${formatDecibels(band.gain)}</span>${slider(band.gain)}
+            <input type="number" class="eq-frequency" min="20" max="20000" step="1" value="${band.frequency}" title="Frequency (Hz)">
+            <input type="number" class="eq-q" min="0.1" max="18" step="0.1" value="${band.q}"
+                title="${shelf ? 'Shelf filters have no Q' : 'Q (bandwidth)'}" ${shelf ? 'disabled' : ''}>`;
+        bindEqSlider(column, gain => equalizer.setBand(i, { gain }));
+
+        const frequency = column.querySelector('.eq-frequency');
+        const q = column.querySelector('.eq-q');
+        const update = () => {
+            equalizer.setBand(i, { frequency: frequency.value, q: q.value });
+            frequency.value = equalizer.bands[i].frequency;
+            q.value = equalizer.bands[i].q;
+            saveEqualizer();
+            renderEqPresets();
+            drawEqualizerCurve();
+        };
+        frequency.addEventListener('change', update);
+        q.addEventListener('change', update);
+        elements.eqBands.appendChild(column);
+    });
+}
+
+/**
+ * Wire up the gain slider of an equalizer column
+ * @param {HTMLElement} column
+ * @param {Function} apply - (db) sets the gain
+ */
+function bindEqSlider(column, apply) {
+    const input = column.querySelector('input[type="range"]');
+    const label = column.querySelector('span');
+    input.addEventListener('input', () => {
+        apply(Number(input.value));
+        label.textContent = formatDecibels(Number(input.value));
+        drawEqualizerCurve();
+    });
+    input.addEventListener('change', () => {
+        saveEqualizer();
+        renderEqPresets();
+    });
+}
+
+/**
+ * Draw the frequency response of the equalizer
+ * Frequencies run logarithmically from 20 Hz to 20 kHz.
+ */
+function drawEqualizerCurve() {
+    const canvas = elements.eqCurve;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const range = EQ_GAIN_RANGE * 2; // Room for the pre-amp on top of the bands
+    const toY = db => h / 2 - (db / range) * (h / 2);
+    const toX = hz => Math.log(hz / EQ_CURVE_MIN_HZ) / Math.log(EQ_CURVE_MAX_HZ / EQ_CURVE_MIN_HZ) * w;
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#333';
+    ctx.fillStyle = '#888';
+    ctx.font = '10px sans-serif';
+    ctx.beginPath();
+    [-range / 2, 0, range / 2].forEach(db => {
+        ctx.moveTo(0, toY(db));
+        ctx.lineTo(w, toY(db));
+        ctx.fillText(formatDecibels(db), 4, toY(db) - 3);
+    });
+    [100, 1000, 10000].forEach(hz => {
+        ctx.moveTo(toX(hz), 0);
+        ctx.lineTo(toX(hz), h);
+        ctx.fillText(hz >= 1000 ? `${hz / 1000}k` : String(hz), toX(hz) + 3, h - 4);
+    });
+    ctx.stroke();
+
+    const frequencies = new Float32Array(w);
+    frequencies.forEach((_, x) => {
+        frequencies[x] = EQ_CURVE_MIN_HZ * Math.pow(EQ_CURVE_MAX_HZ / EQ_CURVE_MIN_HZ, x / w);
+    });
+    const response = state.player.equalizer.getResponse(frequencies);
+    if (!response) return;
+
+    ctx.beginPath();
+    ctx.strokeStyle = state.player.equalizer.enabled ? '#4a90e2' : '#555';
+    ctx.lineWidth = 2;
+    response.forEach((db, x) => {
+        const y = toY(Math.max(-range, Math.min(range, db)));
+        if (x === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+}
+
+/**
+ * Apply the preset picked in the selector
+ * @param {string} value - Option value, see renderEqPresets()
+ */
+function selectEqPreset(value) {
+    const [kind, index] = value.split(':');
+    const preset = (kind === 'saved' ? state.eqPresets : BUILT_IN_PRESETS)[Number(index)];
+    if (!preset) return;
+    state.player.equalizer.applyPreset(preset);
+    saveEqualizer();
+    renderEqualizer();
+}
+
+/**
+ * Save the current settings as a preset
+ */
+function saveEqPreset() {
+    const equalizer = state.player.equalizer;
+    const input = prompt('Preset name:', equalizer.preset || '');
+    const name = input?.trim();
+    if (!name) return;
+
+    const existing = state.eqPresets.findIndex(preset => preset.name === name);
+    if (existing >= 0 && !confirm(`Replace the preset "${name}"?`)) return;
+
+    const { preamp, bands } = equalizer.getSettings();
+    const preset = { name, preamp, bands };
+    if (existing >= 0) {
+        state.eqPresets[existing] = preset;
+    } else {
+        state.eqPresets.push(preset);
+    }
+    saveEqPresets();
+    equalizer.applyPreset(preset);
+    saveEqualizer();
+    renderEqPresets();
+}
+
+/**
+ * Delete the selected saved preset after confirmation
+ * The equalizer keeps its settings.
+ */
+function deleteEqPreset() {
+    const [kind, index] = elements.eqPreset.value.split(':');
+    const preset = kind === 'saved' ? state.eqPresets[Number(index)] : null;
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+
+    state.eqPresets.splice(Number(index), 1);
+    saveEqPresets();
+    state.player.equalizer.preset = null;
+    saveEqualizer();
+    renderEqPresets();
+}
+
+/**
+ * Import presets from a JSON file (one preset or an array of them)
+ * Presets with the name of a saved one replace it.
+ * @param {File} file
+ */
+async function importEqPresets(file) {
+    let presets;
+    try {
+        const data = JSON.parse(await file.text());
+        presets = (Array.isArray(data) ? data : [data]).map(parsePreset);
+    } catch (error) {
+        showError(`Failed to import presets: ${describeError(error)}`);
+        return;
+    }
+
+    presets.forEach(preset => {
+        const existing = state.eqPresets.findIndex(saved => saved.name === preset.name);
+        if (existing >= 0) {
+            state.eqPresets[existing] = preset;
+        } else {
+            state.eqPresets.push(preset);
+        }
+    });
+    saveEqPresets();
+    renderEqPresets();
+    showToast(presets.length === 1 ? `Imported preset "${presets[0].name}"` : `Imported ${presets.length} presets`);
+}
+
+/**
+ * Download the current settings as a preset file
+ */
+function exportEqPreset() {
+    const { preamp, bands, preset } = state.player.equalizer.getSettings();
+    const name = preset || 'Custom';
+    const blob = new Blob([JSON.stringify({ name, preamp, bands }, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${name.replace(/[\\/:*?"<>|]/g, '_')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Set the crossfade between tracks
+ * @param {number} seconds - Crossfade length (0 turns it off)
+ * @param {string} curve - Key of CROSSFADE_CURVES
+ */
+function setCrossfade(seconds, curve = state.settings.crossfadeCurve) {
+    state.settings.crossfade = seconds;
+    state.settings.crossfadeCurve = curve;
+    state.player.crossfade = seconds;
+    state.player.crossfadeCurve = curve;
+    savePreferences();
+}
+
 /**
  * Test connection
  */
@@ -565,22 +3879,45 @@ async function testConnection() {
     const serverUrl = elements.serverUrl.value.trim();
     const username = elements.username.value.trim();
     const password = elements.password.value;
+    const apiKey = elements.apiKey.value.trim();
 
-    if (!serverUrl || !username || !password) {
-        showConnectionStatus('Please fill in all fields', false);
+    if (!hasCredentials({ serverUrl, username, password, apiKey })) {
+        showConnectionStatus('Please enter the server URL and a username/password or API key', false);
         return;
     }
 
-    state.client.setCredentials(serverUrl, username, password);
+    // A separate client, so the session keeps its server until the settings are saved
+    const probe = new SubsonicClient();
+    probe.setCredentials(serverUrl, username, password, apiKey);
 
     try {
-        const success = await state.client.ping();
-        showConnectionStatus(success ? 'Connection successful!' : 'Connection failed', success);
+        const success = await probe.ping();
+        showConnectionStatus(success ? `Connection successful! ${describeServer(probe)}` : 'Connection failed', success);
     } catch (error) {
-        showConnectionStatus(`Connection failed: ${error.message}`, false);
+        showConnectionStatus(`Connection failed: ${describeError(error)}`, false);
     }
 }
 
+/**
+ * Check whether settings hold enough to authenticate
+ * An API key alone is enough; otherwise username and password are needed.
+ */
+function hasCredentials({ serverUrl, username, password, apiKey }) {
+    return Boolean(serverUrl && (apiKey || (username && password)));
+}
+
+/**
+ * Describe the connected server for the connection status
+ * @param {SubsonicClient} client - Client that pinged the server
+ */
+function describeServer(client) {
+    if (!client.openSubsonic) return '(Subsonic API)';
+
+    const name = [client.serverType, client.serverVersion].filter(Boolean).join(' ') || 'OpenSubsonic';
+    const auth = client.usesApiKey() ? ', API key auth' : '';
+    return `(${name}, ${client.extensions.size} extensions${auth})`;
+}
+
 /**
  * Show connection status
  */
@@ -594,11 +3931,91 @@ function showConnectionStatus(message, success) {
  */
 function showError(message) {
     console.error(message);
-    // Could show a toast notification here
+    showToast(message, [], { error: true });
+}
+
+/**
+ * Show a notification with optional action buttons
+ * Toasts with actions stay until one is clicked; others fade after a few seconds.
+ * @param {string} message - Text to show
+ * @param {Array<Object>} actions - Buttons ({ label, action })
+ * @param {Object} options - Options ({ error, duration })
+ * @returns {Function} Function that dismisses the toast
+ */
+function showToast(message, actions = [], options = {}) {
+    const toast = document.createElement('div');
+    toast.className = options.error ? 'toast toast-error' : 'toast';
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+
+    const dismiss = () => toast.remove();
+    actions.forEach(({ label, action }) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            dismiss();
+            action?.();
+        });
+        toast.appendChild(button);
+    });
+
+    elements.toastContainer.appendChild(toast);
+
+    const duration = options.duration ?? (actions.length > 0 ? 0 : 5000);
+    if (duration > 0) setTimeout(dismiss, duration);
+    return dismiss;
 }
 
 // Utility functions
 
+/**
+ * Start a request of the given kind, cancelling the previous one
+ * @returns {AbortSignal} Signal for the new request
+ */
+function supersede(kind) {
+    pendingRequests.get(kind)?.abort();
+    const controller = new AbortController();
+    pendingRequests.set(kind, controller);
+    return controller.signal;
+}
+
+/**
+ * Describe an error in user-facing terms
+ */
+function describeError(error) {
+    if (!(error instanceof SubsonicError)) return error?.message || 'Unknown error';
+    if (error.timeout) return 'the server did not respond in time';
+    if (error.isAuthError) return 'wrong username, password or API key';
+
+    switch (error.code) {
+        case SubsonicError.NOT_AUTHORIZED:
+            return 'not authorized';
+        case SubsonicError.NOT_FOUND:
+            return 'not found';
+        case SubsonicError.CLIENT_TOO_OLD:
+        case SubsonicError.SERVER_TOO_OLD:
+            return 'incompatible server version';
+    }
+    if (error.code === null && error.status === null) return 'cannot reach the server';
+    return error.message;
+}
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key
+ * @returns {*} The value, or null if missing or unreadable
+ */
+function loadJson(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        console.error(`Failed to load ${key}:`, error);
+        return null;
+    }
+}
+
 /**
  * Escape HTML special characters
  */
@@ -610,13 +4027,18 @@ function escapeHtml(str) {
 }
 
 /**
- * Format duration in seconds to mm:ss
+ * Escape text for a quoted HTML attribute value
+ * Unlike escapeHtml this also escapes quotes.
+ */
+function escapeAttribute(str) {
+    return escapeHtml(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Format duration in seconds to mm:ss (h:mm:ss from one hour)
  */
 function formatDuration(seconds) {
-    if (!seconds) return '0:00';
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+    return AudioPlayer.formatTime(seconds);
 }
 
 /**
@@ -0,0 +1,165 @@
+/**
+ * Jukebox Module
+ * Drives the server's own audio output through jukeboxControl and polls
+ * its status, so the server can play on speakers attached to it
+ */
+
+// Constants
+const POLL_INTERVAL_MS = 1000;
+const MAX_POLL_FAILURES = 3; // Consecutive failed polls before giving up
+
+export class Jukebox {
+    /**
+     * Create a jukebox controller
+     * @param {SubsonicClient} client - Subsonic client
+     */
+    constructor(client) {
+        this.client = client;
+        this.status = { currentIndex: -1, playing: false, gain: 1, position: 0 };
+        this.pollId = null;
+        this.pollFailures = 0;
+
+        // Event callbacks
+        this.onStatus = null;     // (status) after every status update
+        this.onError = null;      // (error) a command failed
+        this.onDisconnect = null; // (error) polling gave up
+    }
+
+    /**
+     * Start polling the jukebox status
+     */
+    startPolling() {
+        this.stopPolling();
+        this.pollFailures = 0;
+        this.pollId = setInterval(() => this._poll(), POLL_INTERVAL_MS);
+        this._poll();
+    }
+
+    /**
+     * Stop polling the jukebox status
+     */
+    stopPolling() {
+        if (this.pollId) {
+            clearInterval(this.pollId);
+            this.pollId = null;
+        }
+    }
+
+    /**
+     * Poll once; repeated failures stop polling
+     */
+    async _poll() {
+        try {
+            await this._control('status', {}, false);
+            this.pollFailures = 0;
+        } catch (error) {
+            if (++this.pollFailures >= MAX_POLL_FAILURES && this.pollId) {
+                this.stopPolling();
+                if (this.onDisconnect) this.onDisconnect(error);
+            }
+        }
+    }
+
+    /**
+     * Send a command and take over the status it returns
+     * @param {string} action - jukeboxControl action
+     * @param {Object} options - Action parameters
+     * @param {boolean} report - Report failures through onError
+     * @returns {Promise<Object>} Jukebox status
+     */
+    async _control(action, options = {}, report = true) {
+        try {
+            const status = await this.client.jukeboxControl(action, options);
+            this.status = {
+                currentIndex: status.currentIndex ?? -1,
+                playing: Boolean(status.playing),
+                gain: status.gain ?? this.status.gain,
+                position: status.position || 0
+            };
+            if (this.onStatus) this.onStatus(this.status);
+            return status;
+        } catch (error) {
+            if (report && this.onError) this.onError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the jukebox playlist
+     * @returns {Promise<Object>} Status with the songs in `entry`
+     */
+    get() {
+        return this._control('get');
+    }
+
+    /**
+     * Replace the jukebox playlist
+     * @param {Array<string>} ids - Song IDs
+     */
+    set(ids) {
+        return this._control('set', { ids });
+    }
+
+    /**
+     * Append songs to the jukebox playlist
+     * @param {Array<string>} ids - Song IDs
+     */
+    add(ids) {
+        return this._control('add', { ids });
+    }
+
+    /**
+     * Empty the jukebox playlist
+     */
+    clear() {
+        return this._control('clear');
+    }
+
+    /**
+     * Remove a song from the jukebox playlist
+     * @param {number} index - Playlist index
+     */
+    remove(index) {
+        return this._control('remove', { index });
+    }
+
+    /**
+     * Shuffle the jukebox playlist
+     */
+    shuffle() {
+        return this._control('shuffle');
+    }
+
+    /**
+     * Jump to a song in the jukebox playlist
+     * @param {number} index - Playlist index
+     * @param {number} offset - Start position in seconds
+     */
+    skip(index, offset = 0) {
+        return this._control('skip', { index, offset: Math.floor(offset) });
+    }
+
+    /**
+     * Start or resume playback
+     */
+    start() {
+        return this._control('start');
+    }
+
+    /**
+     * Pause playback (the position is kept)
+     */
+    stop() {
+        return this._control('stop');
+    }
+
+    /**
+     * Set the output volume
+     * @param {number} gain - 0-1
+     */
+    setGain(gain) {
+        return this._control('setGain', { gain });
+    }
+}
+
+export default Jukebox;
@@ -0,0 +1,233 @@
+/**
+ * Library Cache Module
+ * Persists artists, albums and songs in IndexedDB so the library tree
+ * can be rendered instantly on startup
+ */
+
+// Constants
+const DB_VERSION = 1;
+const DEFAULT_DB_NAME = 'somesonic-library';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+export class LibraryCache {
+    /**
+     * Create a library cache
+     * @param {string} name - IndexedDB database name
+     */
+    constructor(name = DEFAULT_DB_NAME) {
+        this.name = name;
+        this.db = null;
+        this._opening = null;
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (this._opening) return this._opening;
+
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available');
+        }
+
+        const request = indexedDB.open(this.name, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('artists')) {
+                db.createObjectStore('artists', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('albums')) {
+                const albums = db.createObjectStore('albums', { keyPath: 'id' });
+                albums.createIndex('artistId', 'artistId');
+            }
+            if (!db.objectStoreNames.contains('songs')) {
+                const songs = db.createObjectStore('songs', { keyPath: 'id' });
+                songs.createIndex('albumId', 'albumId');
+            }
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+        };
+
+        this._opening = promisifyRequest(request).then(db => {
+            this.db = db;
+            this._opening = null;
+            // Let other tabs upgrade the schema
+            db.onversionchange = () => this.close();
+            return db;
+        }, error => {
+            this._opening = null;
+            throw error;
+        });
+
+        return this._opening;
+    }
+
+    /**
+     * Close the database
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Get all records in a store
+     * @param {string} storeName
+     * @returns {Promise<Array>}
+     */
+    async getAll(storeName) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readonly');
+        return promisifyRequest(tx.objectStore(storeName).getAll());
+    }
+
+    /**
+     * Get a single record by key
+     * @param {string} storeName
+     * @param {string} key
+     * @returns {Promise<Object|undefined>}
+     */
+    async get(storeName, key) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readonly');
+        return promisifyRequest(tx.objectStore(storeName).get(key));
+    }
+
+    /**
+     * Get several records by key, preserving the order of the keys
+     * @param {string} storeName
+     * @param {Array<string>} keys
+     * @returns {Promise<Array>} Records (missing keys are omitted)
+     */
+    async getMany(storeName, keys) {
+        const db = await this.open();
+        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+        const records = await Promise.all(keys.map(key => promisifyRequest(store.get(key))));
+        return records.filter(Boolean);
+    }
+
+    /**
+     * Insert or update records in a single transaction
+     * @param {string} storeName
+     * @param {Array<Object>} records
+     */
+    async putAll(storeName, records) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        records.forEach(record => store.put(record));
+        await promisifyTransaction(tx);
+    }
+
+    /**
+     * Replace the whole content of a store
+     * @param {string} storeName
+     * @param {Array<Object>} records
+     */
+    async replaceAll(storeName, records) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        store.clear();
+        records.forEach(record => store.put(record));
+        await promisifyTransaction(tx);
+    }
+
+    /**
+     * Delete records by key
+     * @param {string} storeName
+     * @param {Array<string>} keys
+     */
+    async deleteMany(storeName, keys) {
+        if (keys.length === 0) return;
+        const db = await this.open();
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        keys.forEach(key => store.delete(key));
+        await promisifyTransaction(tx);
+    }
+
+    /**
+     * Delete all songs belonging to the given albums
+     * @param {Array<string>} albumIds
+     */
+    async deleteSongsOfAlbums(albumIds) {
+        if (albumIds.length === 0) return;
+        const db = await this.open();
+        const tx = db.transaction('songs', 'readwrite');
+        const store = tx.objectStore('songs');
+        const index = store.index('albumId');
+        albumIds.forEach(albumId => {
+            const request = index.openKeyCursor(albumId);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+        await promisifyTransaction(tx);
+    }
+
+    /**
+     * Read a metadata value
+     * @param {string} key
+     * @returns {Promise<any>}
+     */
+    async getMeta(key) {
+        const record = await this.get('meta', key);
+        return record?.value;
+    }
+
+    /**
+     * Write a metadata value
+     * @param {string} key
+     * @param {any} value
+     */
+    async setMeta(key, value) {
+        await this.putAll('meta', [{ key, value }]);
+    }
+
+    /**
+     * Remove everything from the cache
+     */
+    async clear() {
+        const db = await this.open();
+        const storeNames = Array.from(db.objectStoreNames);
+        const tx = db.transaction(storeNames, 'readwrite');
+        storeNames.forEach(name => tx.objectStore(name).clear());
+        await promisifyTransaction(tx);
+    }
+}
+
+export default LibraryCache;
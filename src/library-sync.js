@@ -0,0 +1,302 @@
+/**
+ * Library Sync Module
+ * Pages through the whole server library and keeps the local cache
+ * up to date with incremental refreshes
+ */
+
+// Constants
+const ALBUM_PAGE_SIZE = 500; // Maximum page size allowed by getAlbumList2
+
+/**
+ * Build a change stamp for an album
+ * Albums whose stamp changed since the last sync get their cached songs dropped.
+ * @param {Object} album
+ * @returns {string}
+ */
+function albumStamp(album) {
+    return [album.changed || album.created || '', album.songCount || 0, album.duration || 0].join('|');
+}
+
+export class LibrarySync {
+    /**
+     * Create a library sync
+     * @param {SubsonicClient} client - Subsonic client
+     * @param {LibraryCache} cache - Persistent cache
+     */
+    constructor(client, cache) {
+        this.client = client;
+        this.cache = cache;
+        this.cacheAvailable = true;
+        this.albums = [];
+        this.artists = [];
+        this.folderId = null; // Music folder the albums and artists above belong to
+        this.musicFolderId = null; // null syncs all music folders
+        this._syncing = null; // { folderId, force, controller, listeners, waiters, promise }
+    }
+
+    /**
+     * Run a cache operation, degrading to memory-only mode if IndexedDB fails
+     * @param {Function} operation
+     * @param {any} fallback - Value returned when the cache is unavailable
+     * @returns {Promise<any>}
+     */
+    async _cacheOp(operation, fallback) {
+        if (!this.cacheAvailable) return fallback;
+        try {
+            return await operation(this.cache);
+        } catch (error) {
+            console.warn('Library cache unavailable, continuing without it:', error);
+            this.cacheAvailable = false;
+            return fallback;
+        }
+    }
+
+    /**
+     * Load the library from the local cache
+     * @returns {Promise<{artists: Array, albums: Array}>}
+     */
+    async load() {
+        // A cache filled for another music folder is not shown
+        const folder = await this._cacheOp(cache => cache.getMeta('musicFolderId'), undefined);
+        if ((folder ?? null) !== this.musicFolderId) {
+            return this.folderId === this.musicFolderId
+                ? { artists: this.artists, albums: this.albums }
+                : { artists: [], albums: [] };
+        }
+
+        const [artists, albums] = await Promise.all([
+            this._cacheOp(cache => cache.getAll('artists'), []),
+            this._cacheOp(cache => cache.getAll('albums'), [])
+        ]);
+        this.artists = artists;
+        this.albums = albums;
+        this.folderId = this.musicFolderId;
+        return { artists, albums };
+    }
+
+    /**
+     * Synchronize the cache with the server
+     * Concurrent calls for the same music folder share one sync run. A run
+     * for another folder, or an unforced run when a forced one is asked
+     * for, is cancelled and replaced. Each caller's signal only stops that
+     * caller from waiting; the run itself stops once nobody waits for it.
+     * @param {Object} options - Options
+     * @param {boolean} options.force - Ignore the server's lastModified stamp
+     * @param {Function} options.onProgress - Called with { albums } after each page
+     * @param {AbortSignal} options.signal - Signal to stop waiting for the sync
+     * @returns {Promise<{artists: Array, albums: Array, changed: boolean}>}
+     */
+    sync({ force = false, onProgress, signal } = {}) {
+        if (signal?.aborted) return Promise.reject(signal.reason);
+
+        let run = this._syncing;
+        if (run && (run.folderId !== this.musicFolderId || (force && !run.force))) {
+            this._cancelRun(run);
+            run = null;
+        }
+        if (!run) {
+            run = {
+                folderId: this.musicFolderId,
+                force,
+                controller: new AbortController(),
+                listeners: new Set(),
+                waiters: 0
+            };
+            const progress = (update) => run.listeners.forEach(listener => listener(update));
+            run.promise = this._sync(run.folderId, { force, onProgress: progress, signal: run.controller.signal })
+                .finally(() => {
+                    if (this._syncing === run) this._syncing = null;
+                });
+            this._syncing = run;
+        }
+        return this._waitForRun(run, onProgress, signal);
+    }
+
+    /**
+     * Wait for a sync run until it settles or the caller's signal aborts
+     * @param {Object} run - Sync run
+     * @param {Function} onProgress
+     * @param {AbortSignal} signal
+     * @returns {Promise<{artists: Array, albums: Array, changed: boolean}>}
+     */
+    _waitForRun(run, onProgress, signal) {
+        run.waiters++;
+        if (onProgress) run.listeners.add(onProgress);
+
+        return new Promise((resolve, reject) => {
+            const leave = () => {
+                signal?.removeEventListener('abort', onAbort);
+                if (onProgress) run.listeners.delete(onProgress);
+                if (--run.waiters === 0) this._cancelRun(run);
+            };
+            const onAbort = () => {
+                leave();
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            run.promise.then(
+                result => { leave(); resolve(result); },
+                error => { leave(); reject(error); });
+        });
+    }
+
+    /**
+     * Stop a sync run so no later caller joins it
+     * @param {Object} run
+     */
+    _cancelRun(run) {
+        if (this._syncing === run) this._syncing = null;
+        run.controller.abort();
+    }
+
+    /**
+     * Perform the sync
+     * @param {string|null} folderId - Music folder to sync (null for all)
+     * @param {Object} options
+     * @returns {Promise<{artists: Array, albums: Array, changed: boolean}>}
+     */
+    async _sync(folderId, { force = false, onProgress, signal } = {}) {
+        const musicFolderId = folderId ?? undefined;
+
+        // Switching music folders starts over; the old cache stays until the new one is complete
+        const folder = await this._cacheOp(cache => cache.getMeta('musicFolderId'), undefined);
+        const switched = (folder ?? null) !== folderId;
+        if (switched) force = true;
+
+        const lastModified = await this._cacheOp(cache => cache.getMeta('lastModified'), undefined);
+
+        // Cheap check first: the server reports when its collection last changed
+        const indexes = await this.client.getIndexes({
+            ifModifiedSince: force ? undefined : lastModified,
+            musicFolderId,
+            signal
+        });
+        const serverModified = indexes.lastModified;
+        if (!force && this.folderId === folderId && this.albums.length > 0 && lastModified && serverModified &&
+            serverModified <= lastModified) {
+            return { artists: this.artists, albums: this.albums, changed: false };
+        }
+
+        const artists = (await this.client.getArtists({ musicFolderId, signal }))
+            .flatMap(index => index.artist || []);
+        const albums = await this._fetchAllAlbums(musicFolderId, onProgress, signal);
+        // A cancelled run must not overwrite the cache of the run replacing it
+        signal.throwIfAborted();
+
+        // Keep cached track listings for albums that did not change
+        const previous = new Map(this.folderId === folderId ? this.albums.map(album => [album.id, album]) : []);
+        const staleAlbumIds = [];
+        const records = albums.map(album => {
+            const record = { ...album, stamp: albumStamp(album) };
+            const cached = previous.get(album.id);
+            if (cached) {
+                if (cached.stamp === record.stamp && cached.songIds) {
+                    record.songIds = cached.songIds;
+                } else if (cached.songIds) {
+                    staleAlbumIds.push(album.id);
+                }
+                previous.delete(album.id);
+            }
+            return record;
+        });
+        // Whatever is left in the map was removed from the server
+        staleAlbumIds.push(...previous.keys());
+
+        await this._cacheOp(async cache => {
+            if (switched) await cache.clear();
+            await cache.deleteSongsOfAlbums(staleAlbumIds);
+            await cache.replaceAll('artists', artists);
+            await cache.replaceAll('albums', records);
+            await cache.setMeta('lastModified', serverModified || Date.now());
+            await cache.setMeta('lastSync', Date.now());
+            await cache.setMeta('musicFolderId', folderId);
+        });
+
+        this.artists = artists;
+        this.albums = records;
+        this.folderId = folderId;
+        return { artists, albums: records, changed: true };
+    }
+
+    /**
+     * Page through getAlbumList2 until the server runs out of albums
+     * @param {string|undefined} musicFolderId
+     * @param {Function} onProgress
+     * @param {AbortSignal} signal
+     * @returns {Promise<Array>}
+     */
+    async _fetchAllAlbums(musicFolderId, onProgress, signal) {
+        const albums = [];
+        for (let offset = 0; ; offset += ALBUM_PAGE_SIZE) {
+            const page = await this.client.getAlbumList({
+                type: 'alphabeticalByArtist',
+                size: ALBUM_PAGE_SIZE,
+                offset,
+                musicFolderId,
+                signal
+            });
+            albums.push(...page);
+            if (onProgress) onProgress({ albums: albums.length });
+            if (page.length < ALBUM_PAGE_SIZE) break;
+        }
+        return albums;
+    }
+
+    /**
+     * Get an album with its songs, using the cache when possible
+     * @param {string} id - Album ID
+     * @param {Object} options - Request options ({ signal })
+     * @returns {Promise<Object|undefined>} Album details with songs
+     */
+    async getAlbum(id, options = {}) {
+        const cached = await this._cacheOp(cache => cache.get('albums', id), undefined);
+        if (cached?.songIds) {
+            const songs = await this._cacheOp(cache => cache.getMany('songs', cached.songIds), []);
+            if (songs.length === cached.songIds.length) {
+                return { ...cached, song: songs };
+            }
+        }
+
+        const album = await this.client.getAlbum(id, options);
+        if (!album) return album;
+
+        const songs = album.song || [];
+        const { song, ...details } = album;
+        const record = { ...details, stamp: albumStamp(album), songIds: songs.map(s => s.id) };
+        await this._cacheOp(async cache => {
+            await cache.putAll('songs', songs);
+            await cache.putAll('albums', [record]);
+        });
+
+        const index = this.albums.findIndex(a => a.id === id);
+        if (index >= 0) this.albums[index] = record;
+
+        return { ...album, song: songs };
+    }
+
+    /**
+     * Apply a change the user made (e.g. rating or star) to a cached song
+     * @param {string} id - Song ID
+     * @param {Object} changes - Fields to overwrite
+     */
+    async updateSong(id, changes) {
+        await this._cacheOp(async cache => {
+            const song = await cache.get('songs', id);
+            if (song) await cache.putAll('songs', [{ ...song, ...changes }]);
+        });
+    }
+
+    /**
+     * Drop the cached library and fetch everything again
+     * @param {Object} options - Same options as sync()
+     * @returns {Promise<{artists: Array, albums: Array, changed: boolean}>}
+     */
+    async resync(options = {}) {
+        await this._cacheOp(cache => cache.clear());
+        this.artists = [];
+        this.albums = [];
+        return this.sync({ ...options, force: true });
+    }
+}
+
+export default LibrarySync;
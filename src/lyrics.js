@@ -0,0 +1,189 @@
+/**
+ * Lyrics Module
+ * Parses LRC text and renders synced lyrics that follow playback
+ */
+
+// Constants
+const TIME_TAG = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const META_TAG = /^\[([a-z]+):(.*)\]$/i;
+const WORD_TAG = /<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+/**
+ * Convert an LRC time tag to milliseconds
+ * @param {string} min
+ * @param {string} sec
+ * @param {string} fraction - Tenths, hundredths or thousandths
+ * @returns {number}
+ */
+function tagToMs(min, sec, fraction = '') {
+    const ms = fraction ? Number(fraction.padEnd(3, '0')) : 0;
+    return Number(min) * 60000 + Number(sec) * 1000 + ms;
+}
+
+/**
+ * Parse LRC text into the OpenSubsonic structured lyrics shape
+ * Text without time tags is returned as unsynced lines.
+ * @param {string} text - LRC or plain text
+ * @returns {Object} { synced, offset, line: [{ start, value }] }
+ */
+export function parseLrc(text) {
+    const rawLines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const synced = [];
+    const plain = [];
+    let offset = 0;
+
+    rawLines.forEach(raw => {
+        const line = raw.trim();
+
+        const meta = line.match(META_TAG);
+        if (meta) {
+            if (meta[1].toLowerCase() === 'offset') offset = Number(meta[2]) || 0;
+            return;
+        }
+
+        const times = [...line.matchAll(TIME_TAG)];
+        const value = line.replace(TIME_TAG, '').replace(WORD_TAG, '').trim();
+        if (times.length === 0) {
+            plain.push(value);
+            return;
+        }
+
+        // A line may carry several time tags when it repeats
+        times.forEach(([, min, sec, fraction]) => {
+            synced.push({ start: tagToMs(min, sec, fraction), value });
+        });
+    });
+
+    if (synced.length > 0) {
+        synced.sort((a, b) => a.start - b.start);
+        return { synced: true, offset, line: synced };
+    }
+
+    // Drop leading and trailing blank lines of plain text
+    while (plain.length && !plain[0]) plain.shift();
+    while (plain.length && !plain[plain.length - 1]) plain.pop();
+    return { synced: false, offset: 0, line: plain.map(value => ({ value })) };
+}
+
+/**
+ * Pick the best lyrics from a structuredLyrics list
+ * Synced lyrics win over unsynced ones; the browser language breaks ties.
+ * @param {Array<Object>} list - OpenSubsonic structuredLyrics
+ * @returns {Object|null}
+ */
+export function pickLyrics(list) {
+    if (!list?.length) return null;
+    const language = (typeof navigator !== 'undefined' ? navigator.language : '').slice(0, 2);
+    const score = lyrics => (lyrics.synced ? 2 : 0) + (lyrics.lang?.startsWith(language) ? 1 : 0);
+    return [...list].sort((a, b) => score(b) - score(a))[0];
+}
+
+/**
+ * Find the line that is active at a playback time
+ * A positive offset shows lines earlier, as in LRC's [offset:] tag.
+ * @param {Object} lyrics - Structured lyrics
+ * @param {number} timeMs - Playback position (ms)
+ * @returns {number} Line index, or -1 before the first line
+ */
+export function findLineIndex(lyrics, timeMs) {
+    if (!lyrics?.synced) return -1;
+    const time = timeMs + (lyrics.offset || 0);
+    const lines = lyrics.line;
+
+    // Binary search for the last line that started
+    let lo = 0;
+    let hi = lines.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (lines[mid].start <= time) {
+            found = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+}
+
+export class LyricsPanel {
+    /**
+     * Create a lyrics panel
+     * @param {HTMLElement} container - Element to render into
+     */
+    constructor(container) {
+        this.container = container;
+        this.lyrics = null;
+        this.activeIndex = -1;
+
+        // Event callbacks
+        this.onSeek = null;
+
+        this.container.addEventListener('click', (e) => {
+            const line = e.target.closest('.lyrics-line[data-start]');
+            if (!line || !this.onSeek) return;
+            // Undo the offset so the click lands where the line is shown
+            const start = Number(line.dataset.start) - (this.lyrics.offset || 0);
+            this.onSeek(Math.max(0, start / 1000));
+        });
+    }
+
+    /**
+     * Show a status message instead of lyrics
+     * @param {string} message
+     */
+    showMessage(message) {
+        this.lyrics = null;
+        this.activeIndex = -1;
+        this.container.innerHTML = '';
+        const div = document.createElement('div');
+        div.className = 'lyrics-message';
+        div.textContent = message;
+        this.container.appendChild(div);
+    }
+
+    /**
+     * Display lyrics
+     * @param {Object|null} lyrics - Structured lyrics
+     */
+    setLyrics(lyrics) {
+        if (!lyrics?.line?.length) {
+            this.showMessage('No lyrics found');
+            return;
+        }
+
+        this.lyrics = lyrics;
+        this.activeIndex = -1;
+        this.container.innerHTML = '';
+        this.container.classList.toggle('synced', Boolean(lyrics.synced));
+
+        lyrics.line.forEach(line => {
+            const div = document.createElement('div');
+            div.className = 'lyrics-line';
+            div.textContent = line.value || ' ';
+            if (lyrics.synced) div.dataset.start = line.start;
+            this.container.appendChild(div);
+        });
+    }
+
+    /**
+     * Highlight the line for the current playback time
+     * @param {number} currentTime - Playback position (seconds)
+     */
+    update(currentTime) {
+        const index = findLineIndex(this.lyrics, currentTime * 1000);
+        if (index === this.activeIndex) return;
+
+        const lines = this.container.querySelectorAll('.lyrics-line');
+        lines[this.activeIndex]?.classList.remove('active');
+        this.activeIndex = index;
+
+        const line = lines[index];
+        if (line) {
+            line.classList.add('active');
+            line.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+    }
+}
+
+export default LyricsPanel;
@@ -3,12 +3,69 @@
  * Handles audio playback, queue management, and audio analysis
  */
 
+import { IcyMetadataReader } from './icy.js';
+import { replayGainFactor } from './replaygain.js';
+import { Equalizer } from './equalizer.js';
+import { DecodedTrack, decodeTrack } from './gapless.js';
+
 // Constants
 const RESTART_THRESHOLD_SECONDS = 3; // Seconds into track before restart vs previous
+const DEFAULT_BOOKMARK_THRESHOLD_SECONDS = 20 * 60; // Tracks at least this long get bookmarked
+const BOOKMARK_INTERVAL_SECONDS = 30; // Minimum playback progress between bookmark updates
+const BOOKMARK_END_MARGIN_SECONDS = 30; // Stopping this close to the end counts as finished
+const PRELOAD_SECONDS = 30; // Start buffering the next track this long before the end
+const HANDOFF_WINDOW_SECONDS = 1; // Schedule the switch to the next track within this window
+const DECODE_MAX_SECONDS = 10 * 60; // Longer tracks take too much memory decoded and are streamed
+const TRANSPORT_FADE_SECONDS = 0.05; // Fade on pause, stop, skip and seek to avoid clicks
+const CURVE_POINTS = 64; // Resolution of the equal-power fade curve
+
+/**
+ * Check whether a track directly follows another on the same album
+ * Such tracks are often mixed into each other, so they are not crossfaded,
+ * and they mark an album played in order.
+ * @param {Object} current
+ * @param {Object} next
+ * @returns {boolean}
+ */
+function isAlbumContinuation(current, next) {
+    if (!current?.albumId || current.albumId !== next?.albumId) return false;
+    const disc = current.discNumber || 1;
+    const nextDisc = next.discNumber || 1;
+    if (nextDisc === disc) return next.track === current.track + 1;
+    return nextDisc === disc + 1 && next.track === 1;
+}
+
+/**
+ * Build an equal-power fade curve
+ * Keeps the combined loudness of two crossfading tracks constant.
+ * @param {number} from - Start gain
+ * @param {number} to - End gain
+ * @returns {Float32Array}
+ */
+function equalPowerCurve(from, to) {
+    const curve = new Float32Array(CURVE_POINTS);
+    for (let i = 0; i < CURVE_POINTS; i++) {
+        const x = (i / (CURVE_POINTS - 1)) * Math.PI / 2;
+        curve[i] = from * Math.cos(x) + to * Math.sin(x);
+    }
+    return curve;
+}
 
 export class AudioPlayer {
     constructor(audioElement) {
+        // Two elements take turns: one plays while the other preloads the next track
         this.audio = audioElement;
+        this.spareAudio = audioElement.cloneNode(false);
+        this.spareAudio.removeAttribute('id');
+        this.spareAudio.preload = 'auto';
+        this.gapless = true;
+        this.crossfade = 0; // Crossfade length in seconds (0 disables it)
+        this.crossfadeCurve = 'equal-power'; // 'linear' or 'equal-power'
+        this.decoded = null; // DecodedTrack playing the current track instead of this.audio
+        this.preloaded = null; // { index, track, decoded, decoding, startsAt }; decoded or buffered in spareAudio
+        this.handoffId = null;
+        this.fadingAudio = null; // Element or DecodedTrack still fading out after a crossfade
+        this.transportId = 0; // Bumped by play/pause so a finished fade knows it is stale
         this.queue = [];
         this.currentIndex = -1;
         this.isPlaying = false;
@@ -16,11 +73,27 @@ export class AudioPlayer {
         this.repeat = 'none'; // 'none', 'one', 'all'
         this.shuffle = false;
         this.shuffledQueue = [];
+        this.streamOffset = 0; // Track position where the loaded stream starts (server-side seeking)
+        this.jukebox = null; // Server jukebox that plays instead of the audio element
+        this.replayGain = { mode: 'off', preamp: 0, fallback: 0 }; // Mode key of REPLAY_GAIN_MODES, gains in dB
+
+        // Automatic bookmarks for long tracks (0 disables them)
+        this.bookmarkThreshold = DEFAULT_BOOKMARK_THRESHOLD_SECONDS;
+        this._lastBookmarkPosition = 0;
         
         // Audio context for visualization
         this.audioContext = null;
         this.analyser = null;
-        this.sourceNode = null;
+        this.sourceNodes = [];
+        this.gainNodes = new Map(); // audio element or DecodedTrack -> GainNode used for fades
+        this.levelNodes = new Map(); // audio element or DecodedTrack -> GainNode applying ReplayGain
+        this.equalizer = new Equalizer(); // Shared by all outputs, before the analyser
+
+        // "Now playing" titles of live streams
+        this.icyReader = new IcyMetadataReader();
+        this.icyReader.onMetadata = (title) => {
+            if (this.onMetadata) this.onMetadata(title);
+        };
         
         // Event callbacks
         this.onTrackChange = null;
@@ -28,70 +101,589 @@ export class AudioPlayer {
         this.onTimeUpdate = null;
         this.onEnded = null;
         this.onError = null;
+        this.onMetadata = null;
+        this.onBookmark = null; // (track, seconds) to save, (track, null) when finished
+        this.onQueueEnd = null; // Last track ended without repeat
+
+        // Optional (track) => seconds hook used to resume long tracks part-way
+        this.resolveStartTime = null;
+        // Optional async (track, seconds) => URL of a stream starting at that
+        // whole second, or null to seek in the loaded stream instead
+        this.resolveSeekUrl = null;
 
         this._setupEventListeners();
     }
 
     /**
      * Setup audio element event listeners
+     * Both elements get the same listeners; only the active one is heard.
      */
     _setupEventListeners() {
-        this.audio.addEventListener('play', () => {
-            this.isPlaying = true;
-            if (this.onPlayStateChange) this.onPlayStateChange(true);
-        });
+        [this.audio, this.spareAudio].forEach(element => {
+            element.addEventListener('play', () => this._onOutputPlay(element));
+            element.addEventListener('pause', () => this._onOutputPause(element));
+            element.addEventListener('timeupdate', () => this._onOutputTimeUpdate(element));
+            element.addEventListener('ended', () => this._onOutputEnded(element));
 
-        this.audio.addEventListener('pause', () => {
-            this.isPlaying = false;
-            if (this.onPlayStateChange) this.onPlayStateChange(false);
-        });
+            element.addEventListener('error', (e) => {
+                if (!this._isActive(element)) {
+                    // A failed preload falls back to loading the track when it is due
+                    if (element === this.spareAudio) this.preloaded = null;
+                    return;
+                }
+                console.error('Audio error:', e);
+                if (this.onError) this.onError(e);
+            });
 
-        this.audio.addEventListener('timeupdate', () => {
-            if (this.onTimeUpdate) {
-                this.onTimeUpdate({
-                    currentTime: this.audio.currentTime,
-                    duration: this.audio.duration || 0
-                });
-            }
+            element.addEventListener('loadedmetadata', () => {
+                if (!this._isActive(element)) return;
+                if (this.onTimeUpdate) {
+                    this.onTimeUpdate({
+                        currentTime: this.streamOffset,
+                        duration: this.getDuration(),
+                        isLive: this.isLive()
+                    });
+                }
+            });
         });
+    }
 
-        this.audio.addEventListener('ended', () => {
+    /**
+     * Get what plays the current track
+     * @returns {HTMLAudioElement|DecodedTrack}
+     */
+    _output() {
+        return this.decoded || this.audio;
+    }
+
+    /**
+     * Check whether an element or decoded track is the one being heard
+     * @param {HTMLAudioElement|DecodedTrack} output
+     * @returns {boolean}
+     */
+    _isActive(output) {
+        return output === this._output() && !this.jukebox;
+    }
+
+    /**
+     * Handle an output starting to play
+     * @param {HTMLAudioElement|DecodedTrack} output
+     */
+    _onOutputPlay(output) {
+        if (!this._isActive(output)) return;
+        this.isPlaying = true;
+        if (this.onPlayStateChange) this.onPlayStateChange(true);
+    }
+
+    /**
+     * Handle an output pausing, which includes reaching its end
+     * @param {HTMLAudioElement|DecodedTrack} output
+     */
+    _onOutputPause(output) {
+        if (!this._isActive(output)) return;
+        // A decoded track scheduled to follow takes over by itself
+        if (output.ended && this._isHandoffScheduled()) return;
+        this._cancelHandoff();
+        this.isPlaying = false;
+        if (this.onPlayStateChange) this.onPlayStateChange(false);
+        // The pause fired at the end of a track is handled by _handleEnded
+        if (!output.ended) this._saveBookmark(this.getCurrentTrack(), true);
+    }
+
+    /**
+     * Handle the playback position of an output advancing
+     * @param {HTMLAudioElement|DecodedTrack} output
+     */
+    _onOutputTimeUpdate(output) {
+        if (!this._isActive(output)) return;
+        if (this.onTimeUpdate) {
+            this.onTimeUpdate({
+                currentTime: this.getCurrentTime(),
+                duration: this.getDuration(),
+                isLive: this.isLive()
+            });
+        }
+        this._saveBookmark(this.getCurrentTrack(), false);
+        this._prepareNext();
+    }
+
+    /**
+     * Handle an output reaching its end
+     * @param {HTMLAudioElement|DecodedTrack} output
+     */
+    _onOutputEnded(output) {
+        if (!this._isActive(output)) {
+            // A decoded track that played out behind the current one is done
+            if (output instanceof DecodedTrack && output !== this.preloaded?.decoded) this._retire(output);
+            return;
+        }
+        if (this._isHandoffScheduled()) {
+            this._completeHandoff();
+            this._retire(output);
+        } else {
             this._handleEnded();
-        });
+        }
+    }
 
-        this.audio.addEventListener('error', (e) => {
-            console.error('Audio error:', e);
-            if (this.onError) this.onError(e);
-        });
+    /**
+     * Report that the current track finished
+     */
+    _finishTrack() {
+        if (this.onEnded) this.onEnded();
 
-        this.audio.addEventListener('loadedmetadata', () => {
-            if (this.onTimeUpdate) {
-                this.onTimeUpdate({
-                    currentTime: 0,
-                    duration: this.audio.duration || 0
-                });
-            }
-        });
+        const track = this.getCurrentTrack();
+        if (this.onBookmark && this.shouldBookmark(track)) {
+            this.onBookmark(track, null);
+        }
     }
 
     /**
      * Handle track ended
      */
     _handleEnded() {
-        if (this.onEnded) this.onEnded();
+        this._cancelHandoff();
+        this._finishTrack();
 
         if (this.repeat === 'one') {
-            this.audio.currentTime = 0;
-            this.play();
+            this.seek(0).then(() => this.play());
+        } else if (this._isPreloadReady()) {
+            this._startPreloaded();
         } else if (this.hasNext()) {
             this.next();
         } else if (this.repeat === 'all' && this.queue.length > 0) {
             this.playIndex(0);
+        } else if (this.onQueueEnd) {
+            this.onQueueEnd();
+        }
+    }
+
+    /**
+     * Index of the track that plays after the current one
+     * @returns {number} Queue index, or -1 if playback stops or repeats the track
+     */
+    _nextIndex() {
+        if (this.repeat === 'one' || this.currentIndex < 0) return -1;
+        if (this.hasNext()) return this.currentIndex + 1;
+        return this.repeat === 'all' && this.queue.length > 0 ? 0 : -1;
+    }
+
+    /**
+     * Preload the next track near the end of the current one, and schedule
+     * the switch to it just before the end
+     * For a plain gapless switch the track is decoded, so that it can start
+     * on the exact sample the current one ends (see _scheduleHandoff()).
+     * Crossfades, tracks too long to hold decoded and tracks that fail to
+     * decode are buffered on the spare element instead.
+     */
+    _prepareNext() {
+        if (this.jukebox || this.isLive() || this.fadingAudio === this.spareAudio) return;
+        const index = this._nextIndex();
+        const track = this.getQueue()[index];
+        const lead = this._crossfadeLength(track);
+        if (!this.gapless && lead === 0) return;
+
+        const remaining = this.getDuration() - this.getCurrentTime();
+        if (remaining <= 0 || remaining > PRELOAD_SECONDS + lead) return;
+
+        if (!this._isPreloadCurrent()) {
+            // Tracks that resume part-way are loaded the usual way
+            if (!track?.streamUrl || track.isLive || this.resolveStartTime?.(track) > 0) return;
+            if (lead === 0 && this._canDecode(track)) {
+                this._decodeNext(index, track);
+            } else {
+                this._preloadSpare({ index, track, decoded: null, decoding: null, startsAt: null });
+            }
+        }
+        this._scheduleHandoff(lead);
+    }
+
+    /**
+     * Check whether a track can be decoded for a sample-accurate switch
+     * @param {Object} track
+     * @returns {boolean}
+     */
+    _canDecode(track) {
+        return this.audioContext?.state === 'running' && track.duration > 0 && track.duration <= DECODE_MAX_SECONDS;
+    }
+
+    /**
+     * Download and decode the next track
+     * If that fails it is buffered on the spare element instead.
+     * @param {number} index - Queue index
+     * @param {Object} track
+     */
+    async _decodeNext(index, track) {
+        const preloaded = { index, track, decoded: null, decoding: new AbortController(), startsAt: null };
+        this.preloaded = preloaded;
+        try {
+            const buffer = await decodeTrack(this.audioContext, track.streamUrl, {
+                signal: preloaded.decoding.signal,
+                sampleRate: track.transcoded ? null : track.samplingRate
+            });
+            if (this.preloaded !== preloaded) return;
+            preloaded.decoded = this._attachDecoded(new DecodedTrack(this.audioContext, buffer));
+            this._applyReplayGain(preloaded.decoded, preloaded.index);
+        } catch (error) {
+            if (this.preloaded !== preloaded) return;
+            console.warn('Failed to decode the next track, buffering it instead:', error);
+            this._preloadSpare(preloaded);
+        } finally {
+            preloaded.decoding = null;
+        }
+    }
+
+    /**
+     * Buffer the next track on the spare element
+     * @param {Object} preloaded - Becomes this.preloaded
+     */
+    _preloadSpare(preloaded) {
+        this.preloaded = preloaded;
+        this._applyReplayGain(this.spareAudio, preloaded.index);
+        this.spareAudio.src = preloaded.track.streamUrl;
+        this.spareAudio.load();
+    }
+
+    /**
+     * Connect a decoded track to the audio graph and listen to it like to the elements
+     * @param {DecodedTrack} decoded
+     * @returns {DecodedTrack}
+     */
+    _attachDecoded(decoded) {
+        const level = this.audioContext.createGain();
+        const gain = this.audioContext.createGain();
+        decoded.connect(level);
+        level.connect(gain);
+        gain.connect(this.equalizer.input);
+        this.levelNodes.set(decoded, level);
+        this.gainNodes.set(decoded, gain);
+        decoded.volume = this.volume;
+        decoded.muted = this.audio.muted;
+
+        decoded.onPlay = () => this._onOutputPlay(decoded);
+        decoded.onPause = () => this._onOutputPause(decoded);
+        decoded.onTimeUpdate = () => this._onOutputTimeUpdate(decoded);
+        decoded.onEnded = () => this._onOutputEnded(decoded);
+        return decoded;
+    }
+
+    /**
+     * Stop an element or decoded track that no longer plays the current track
+     * Decoded tracks are disconnected so their buffer can be freed.
+     * @param {HTMLAudioElement|DecodedTrack} output
+     */
+    _retire(output) {
+        output.pause();
+        if (!(output instanceof DecodedTrack)) return;
+        output.disconnect();
+        this.levelNodes.get(output)?.disconnect();
+        this.gainNodes.get(output)?.disconnect();
+        this.levelNodes.delete(output);
+        this.gainNodes.delete(output);
+    }
+
+    /**
+     * Stop playing from a decoded track, e.g. before another track is loaded
+     */
+    _stopDecoded() {
+        const decoded = this.decoded;
+        if (!decoded) return;
+        decoded.pause();
+        this.decoded = null;
+        this._retire(decoded);
+    }
+
+    /**
+     * Schedule the switch to the preloaded track as the current one runs out
+     * A decoded track is started on the audio clock at the time the current
+     * track ends. After another decoded track that time is exact to the
+     * sample; after an element it is as exact as the element's position,
+     * and the element is cut off then so the two never overlap. Crossfades
+     * and element preloads are started by a timer instead.
+     * @param {number} lead - Crossfade length in seconds
+     */
+    _scheduleHandoff(lead) {
+        const output = this._output();
+        if (this.handoffId || this._isHandoffScheduled() || output.paused || !this._isPreloadReady()) return;
+        // The exact end is only known when the stream's own length is
+        if (output === this.audio && (this.streamOffset > 0 || !isFinite(output.duration))) return;
+        const left = (output.duration - output.currentTime) / (output.playbackRate || 1) - lead;
+        if (left > HANDOFF_WINDOW_SECONDS) return;
+
+        const preloaded = this.preloaded;
+        if (preloaded.decoded && lead === 0) {
+            const when = output === this.decoded ? output.endTime : this.audioContext.currentTime + Math.max(0, left);
+            preloaded.startsAt = when;
+            this._setGain(preloaded.decoded, 1);
+            preloaded.decoded.play(when);
+            if (output === this.audio) this.gainNodes.get(output)?.gain.setValueAtTime(0, when);
+            // The audio is scheduled already; the timer only catches the player state up
+            this.handoffId = setTimeout(() => this._completeHandoff(), Math.max(0, left) * 1000);
+            return;
+        }
+        this.handoffId = setTimeout(() => {
+            this.handoffId = null;
+            this._handoff(lead);
+        }, Math.max(0, left) * 1000);
+    }
+
+    /**
+     * Check whether a decoded track is scheduled to start on the audio clock
+     * @returns {boolean}
+     */
+    _isHandoffScheduled() {
+        return Boolean(this.preloaded) && this.preloaded.startsAt !== null;
+    }
+
+    /**
+     * Make the decoded track scheduled by _scheduleHandoff() the current one
+     * Its audio has started already; this only catches the player state up.
+     * The previous output is left to play out its last samples, if any.
+     */
+    _completeHandoff() {
+        clearTimeout(this.handoffId);
+        this.handoffId = null;
+        if (!this._isHandoffScheduled()) return;
+
+        const { index, track, decoded } = this.preloaded;
+        this.preloaded = null;
+        this._finishTrack();
+        this.decoded = decoded;
+        this.currentIndex = index;
+        this.streamOffset = 0;
+        this._lastBookmarkPosition = 0;
+        this.icyReader.stop();
+        if (this.onTrackChange) this.onTrackChange(track);
+    }
+
+    /**
+     * Get how long to crossfade into a track
+     * @param {Object} next - Track that follows the current one
+     * @returns {number} Seconds (0 for a plain gapless switch)
+     */
+    _crossfadeLength(next) {
+        const current = this.getCurrentTrack();
+        if (this.crossfade <= 0 || !this.audioContext || !next || !current) return 0;
+        if (isAlbumContinuation(current, next)) return 0;
+        // Never fade through more than half of either track
+        return Math.min(this.crossfade, (current.duration || 0) / 2, (next.duration || Infinity) / 2);
+    }
+
+    /**
+     * Check whether the preloaded track is still the one to play next
+     * @returns {boolean}
+     */
+    _isPreloadCurrent() {
+        const preloaded = this.preloaded;
+        return Boolean(preloaded) && preloaded.index === this._nextIndex() &&
+            this.getQueue()[preloaded.index] === preloaded.track;
+    }
+
+    /**
+     * Check whether the preloaded track is still next and can start right away
+     * @returns {boolean}
+     */
+    _isPreloadReady() {
+        return this._isPreloadCurrent() && !this.preloaded.decoding;
+    }
+
+    /**
+     * Switch to the preloaded track as the current one runs out
+     * The finishing output plays on until its own end (its ended event is
+     * then ignored), so a late timer overlaps the tracks instead of leaving
+     * silence.
+     */
+    _handoff(fadeSeconds = 0) {
+        if (this._output().paused || !this._isPreloadReady()) return;
+        this._finishTrack();
+        this._startPreloaded(fadeSeconds);
+    }
+
+    /**
+     * Make the preloaded track the current one and play it
+     * @param {number} fadeSeconds - Crossfade length (0 switches straight over)
+     */
+    async _startPreloaded(fadeSeconds = 0) {
+        const { index, track, decoded } = this.preloaded;
+        const previous = this._output();
+        this.preloaded = null;
+        this.decoded = decoded;
+        if (!decoded) [this.audio, this.spareAudio] = [this.spareAudio, this.audio];
+        const next = this._output();
+        this.currentIndex = index;
+        this.streamOffset = 0;
+        this._lastBookmarkPosition = 0;
+        this.icyReader.stop();
+
+        if (fadeSeconds > 0) {
+            this.fadingAudio = previous;
+            this._rampGain(next, 1, fadeSeconds, this.crossfadeCurve, 0);
+            this._rampGain(previous, 0, fadeSeconds, this.crossfadeCurve).then(() => {
+                if (this.fadingAudio !== previous) return;
+                this.fadingAudio = null;
+                this._retire(previous);
+            });
+        } else {
+            this._setGain(next, 1);
+            // An output that ended already fires no more events to retire it by
+            if (previous.ended) this._retire(previous);
+        }
+
+        try {
+            await next.play();
+            if (this.onTrackChange) this.onTrackChange(track);
+        } catch (e) {
+            console.error('Playback error:', e);
+            if (this.onError) this.onError(e);
+        }
+    }
+
+    /**
+     * Cancel a scheduled switch to the next track
+     * A decoded track scheduled on the audio clock is stopped and rewound,
+     * and the current output is no longer cut off.
+     */
+    _cancelHandoff() {
+        clearTimeout(this.handoffId);
+        this.handoffId = null;
+        if (!this._isHandoffScheduled()) return;
+
+        const preloaded = this.preloaded;
+        this.gainNodes.get(this._output())?.gain.cancelScheduledValues(preloaded.startsAt);
+        preloaded.decoded.pause();
+        preloaded.decoded.currentTime = 0;
+        preloaded.startsAt = null;
+    }
+
+    /**
+     * Drop the preloaded track and stop the spare element
+     */
+    _cancelPreload() {
+        this._cancelHandoff();
+        const preloaded = this.preloaded;
+        this.preloaded = null;
+        preloaded?.decoding?.abort();
+        if (preloaded?.decoded) this._retire(preloaded.decoded);
+        if (this.fadingAudio) this._retire(this.fadingAudio);
+        this.fadingAudio = null;
+        this.spareAudio.pause();
+        if (this.spareAudio.getAttribute('src')) {
+            this.spareAudio.removeAttribute('src');
+            this.spareAudio.load();
+        }
+    }
+
+    /**
+     * Switch playback between the audio element and a server jukebox
+     * The queue and position carry over, and playback continues on the
+     * new output if it was playing.
+     * @param {Jukebox|null} jukebox - Jukebox to play on, or null for local playback
+     * @param {Object} options - Options
+     * @param {boolean} options.resume - Carry the track and position over (default true)
+     */
+    async setJukebox(jukebox, { resume = true } = {}) {
+        if (jukebox === this.jukebox) return;
+        const index = this.currentIndex;
+        const position = this.getCurrentTime();
+        const wasPlaying = this.isPlaying;
+
+        if (this.jukebox) {
+            this.jukebox.stopPolling();
+            this.jukebox.onStatus = null;
+            this.jukebox.stop().catch(() => {});
+        } else {
+            this._saveBookmark(this.getCurrentTrack(), true);
+            this._cancelPreload();
+            this._stopDecoded();
+            this.audio.pause();
+            this.icyReader.stop();
+        }
+        this.jukebox = jukebox;
+        this.isPlaying = false;
+        if (this.onPlayStateChange) this.onPlayStateChange(false);
+
+        if (jukebox) {
+            jukebox.onStatus = (status) => this._applyJukeboxStatus(status);
+            try {
+                await this._syncJukebox();
+                const serverIndex = resume ? this._jukeboxIndex(index) : -1;
+                if (serverIndex >= 0) {
+                    await jukebox.skip(serverIndex, position);
+                    if (wasPlaying) await jukebox.start();
+                }
+            } catch {
+                // Reported through the jukebox's onError
+            }
+            jukebox.startPolling();
+        } else if (resume && index >= 0) {
+            await this.playIndex(index, { startTime: position, autoplay: wasPlaying });
+        }
+    }
+
+    /**
+     * Queue tracks the jukebox can play (server songs, not live streams)
+     * @returns {Array}
+     */
+    _jukeboxTracks() {
+        return this.getQueue().filter(track => track.streamUrl && !track.isLive);
+    }
+
+    /**
+     * Map a queue index to the jukebox playlist index
+     * @param {number} index - Queue index
+     * @returns {number} Jukebox index, or -1 if the track cannot play there
+     */
+    _jukeboxIndex(index) {
+        const track = this.getQueue()[index];
+        return track ? this._jukeboxTracks().indexOf(track) : -1;
+    }
+
+    /**
+     * Send the queue to the jukebox
+     * @param {boolean} keepPosition - Continue the current track where it is
+     *   (needed when the order changed under it)
+     * @returns {Promise<void>}
+     */
+    async _syncJukebox(keepPosition = false) {
+        if (!this.jukebox) return;
+        const { playing, position } = this.jukebox.status;
+        await this.jukebox.set(this._jukeboxTracks().map(track => track.id));
+
+        const serverIndex = this._jukeboxIndex(this.currentIndex);
+        if (keepPosition && serverIndex >= 0) {
+            await this.jukebox.skip(serverIndex, position);
+            if (playing) await this.jukebox.start();
         }
     }
 
     /**
-     * Initialize audio context for visualization
+     * Reflect a jukebox status update in the player state
+     * @param {Object} status - { currentIndex, playing, gain, position }
+     */
+    _applyJukeboxStatus(status) {
+        // Only follow the server's index while it plays; it is stale right after set
+        const track = status.playing ? this._jukeboxTracks()[status.currentIndex] : null;
+        const index = track ? this.getQueue().indexOf(track) : -1;
+        if (index >= 0 && index !== this.currentIndex) {
+            this.currentIndex = index;
+            if (this.onTrackChange) this.onTrackChange(track);
+        }
+
+        if (status.playing !== this.isPlaying) {
+            this.isPlaying = status.playing;
+            if (this.onPlayStateChange) this.onPlayStateChange(status.playing);
+        }
+
+        if (this.onTimeUpdate) {
+            this.onTimeUpdate({
+                currentTime: this.getCurrentTime(),
+                duration: this.getDuration(),
+                isLive: false
+            });
+        }
+    }
+
+    /**
+     * Initialize the audio graph for fades, ReplayGain, the equalizer and visualization
      */
     initAudioContext() {
         if (this.audioContext) return;
@@ -102,15 +694,135 @@ export class AudioPlayer {
             this.analyser.fftSize = 2048;
             this.analyser.smoothingTimeConstant = 0.8;
 
-            // Connect audio element to analyser
-            this.sourceNode = this.audioContext.createMediaElementSource(this.audio);
-            this.sourceNode.connect(this.analyser);
+            // Connect both audio elements through the equalizer to the
+            // analyser, so it sees one continuous signal across track changes;
+            // decoded tracks are connected the same way when they are created
+            const equalizer = this.equalizer.attach(this.audioContext);
+            equalizer.output.connect(this.analyser);
+            this.sourceNodes = [this.audio, this.spareAudio].map(element => {
+                const node = this.audioContext.createMediaElementSource(element);
+                const level = this.audioContext.createGain();
+                const gain = this.audioContext.createGain();
+                node.connect(level);
+                level.connect(gain);
+                gain.connect(equalizer.input);
+                this.levelNodes.set(element, level);
+                this.gainNodes.set(element, gain);
+                return node;
+            });
             this.analyser.connect(this.audioContext.destination);
+            this._applyReplayGain(this.audio, this.currentIndex);
+            if (this.preloaded) this._applyReplayGain(this.spareAudio, this.preloaded.index);
         } catch (e) {
             console.error('Failed to initialize audio context:', e);
         }
     }
 
+    /**
+     * Change the ReplayGain settings
+     * @param {Object} settings
+     * @param {string} settings.mode - 'off', 'track', 'album' or 'auto'
+     * @param {number} settings.preamp - Added to every gain (dB)
+     * @param {number} settings.fallback - Gain of untagged tracks (dB)
+     */
+    setReplayGain(settings) {
+        Object.assign(this.replayGain, settings);
+        this._applyReplayGain(this._output(), this.currentIndex);
+        if (this.preloaded) this._applyReplayGain(this.preloaded.decoded || this.spareAudio, this.preloaded.index);
+    }
+
+    /**
+     * Get the ReplayGain factor of a queued track
+     * In auto mode album gain is used while the track is played as part of
+     * its album, i.e. next to the album tracks around it.
+     * @param {number} index - Queue index
+     * @returns {number} Linear gain factor
+     */
+    _replayGainFor(index) {
+        const queue = this.getQueue();
+        const track = queue[index];
+        const { mode } = this.replayGain;
+        if (!track || track.isLive || mode === 'off') return 1;
+
+        const inAlbum = isAlbumContinuation(queue[index - 1], track) || isAlbumContinuation(track, queue[index + 1]);
+        return replayGainFactor(track.replayGain, mode === 'album' || (mode === 'auto' && inAlbum), this.replayGain);
+    }
+
+    /**
+     * Set the ReplayGain of an audio element or decoded track for the track it plays
+     * @param {HTMLAudioElement|DecodedTrack} element
+     * @param {number} index - Queue index of the track
+     */
+    _applyReplayGain(element, index) {
+        const level = this.levelNodes.get(element);
+        if (level) level.gain.value = this._replayGainFor(index);
+    }
+
+    /**
+     * Set the fade gain of an audio element or decoded track right away
+     * @param {HTMLAudioElement|DecodedTrack} element
+     * @param {number} value - 0-1
+     */
+    _setGain(element, value) {
+        const gain = this.gainNodes.get(element)?.gain;
+        if (!gain) return;
+        gain.cancelScheduledValues(this.audioContext.currentTime);
+        gain.setValueAtTime(value, this.audioContext.currentTime);
+    }
+
+    /**
+     * Fade the gain of an audio element or decoded track
+     * While the audio context is not running the gain is set right away.
+     * @param {HTMLAudioElement|DecodedTrack} element
+     * @param {number} target - 0-1
+     * @param {number} seconds - Fade length
+     * @param {string} curve - 'linear' or 'equal-power'
+     * @param {number|null} from - Start gain (defaults to the current one)
+     * @returns {Promise<void>} Resolves when the fade is done
+     */
+    _rampGain(element, target, seconds, curve = 'linear', from = null) {
+        const gain = this.gainNodes.get(element)?.gain;
+        if (!gain) return Promise.resolve();
+        if (this.audioContext.state !== 'running') {
+            this._setGain(element, target);
+            return Promise.resolve();
+        }
+
+        const now = this.audioContext.currentTime;
+        from = from ?? gain.value;
+        // Hold a fade in progress where it is instead of jumping back
+        if (gain.cancelAndHoldAtTime) {
+            gain.cancelAndHoldAtTime(now);
+        } else {
+            gain.cancelScheduledValues(now);
+        }
+        if (curve === 'equal-power') {
+            gain.setValueCurveAtTime(equalPowerCurve(from, target), now, seconds);
+        } else {
+            gain.setValueAtTime(from, now);
+            gain.linearRampToValueAtTime(target, now + seconds);
+        }
+        return new Promise(resolve => setTimeout(resolve, seconds * 1000));
+    }
+
+    /**
+     * Fade the active output out before a transport action
+     * @returns {Promise<void>}
+     */
+    _fadeOut() {
+        const output = this._output();
+        if (output.paused) return Promise.resolve();
+        return this._rampGain(output, 0, TRANSPORT_FADE_SECONDS);
+    }
+
+    /**
+     * Fade the active output back in after a transport action
+     * @param {number|null} from - Start gain (null continues from the current one)
+     */
+    _fadeIn(from = 0) {
+        this._rampGain(this._output(), 1, TRANSPORT_FADE_SECONDS, 'linear', from);
+    }
+
     /**
      * Get analyser for visualization
      * @returns {AnalyserNode|null}
@@ -127,27 +839,185 @@ export class AudioPlayer {
      * @param {Array} tracks - Array of track objects
      */
     setQueue(tracks) {
+        this._cancelPreload();
         this.queue = [...tracks];
         this.shuffledQueue = this._shuffleArray([...tracks]);
         this.currentIndex = -1;
+        this._syncJukebox().catch(() => {});
     }
 
     /**
-     * Add tracks to queue
+     * Add tracks to the end of the queue
      * @param {Array} tracks - Tracks to add
      */
     addToQueue(tracks) {
-        this.queue.push(...tracks);
-        this.shuffledQueue = this._shuffleArray([...this.queue]);
+        this.insertAt(this.queue.length, tracks);
+    }
+
+    /**
+     * Insert tracks so they play right after the current one (shuffled or not)
+     * Without a current track they go first.
+     * @param {Array} tracks - Tracks to insert
+     */
+    insertNext(tracks) {
+        const current = this.getCurrentTrack();
+        const index = current ? this.queue.indexOf(current) + 1 : 0;
+        this._insert(index, tracks, true);
+    }
+
+    /**
+     * Insert tracks at a queue position
+     * While shuffled they are mixed into the part of the queue not played yet.
+     * @param {number} index - Position in the unshuffled queue
+     * @param {Array} tracks - Tracks to insert
+     */
+    insertAt(index, tracks) {
+        this._insert(index, tracks, false);
+    }
+
+    /**
+     * Insert tracks into both queue orders
+     * @param {number} index - Position in the unshuffled queue
+     * @param {Array} tracks - Tracks to insert (each a distinct object)
+     * @param {boolean} next - Also play them next while shuffled
+     */
+    _insert(index, tracks, next) {
+        if (tracks.length === 0) return;
+        const current = this.getCurrentTrack();
+        const appended = index >= this.queue.length;
+        this.queue.splice(Math.max(0, index), 0, ...tracks);
+        if (next && this.shuffle) {
+            this.shuffledQueue.splice(this.currentIndex + 1, 0, ...tracks);
+        } else {
+            this._shuffleIn(tracks, this.shuffle ? this.currentIndex : -1);
+        }
+
+        if (appended && !this.shuffle) {
+            // The jukebox can append without restarting the current track
+            this._queueChanged(current, false);
+            const ids = tracks.filter(track => track.streamUrl && !track.isLive).map(track => track.id);
+            if (ids.length > 0) this.jukebox?.add(ids).catch(() => {});
+        } else {
+            this._queueChanged(current);
+        }
+    }
+
+    /**
+     * Mix tracks into the shuffled queue at random positions
+     * @param {Array} tracks
+     * @param {number} after - Shuffled index the tracks must come after
+     */
+    _shuffleIn(tracks, after) {
+        tracks.forEach(track => {
+            const index = after + 1 + Math.floor(Math.random() * (this.shuffledQueue.length - after));
+            this.shuffledQueue.splice(index, 0, track);
+        });
+    }
+
+    /**
+     * Remove tracks from the queue
+     * If the current track is among them, the track that followed it takes
+     * its place and plays if the removed one was playing.
+     * @param {Array<number>} indices - Positions in the unshuffled queue
+     */
+    remove(indices) {
+        const removed = new Set(indices.map(i => this.queue[i]).filter(Boolean));
+        if (removed.size === 0) return;
+
+        const current = this.getCurrentTrack();
+        const following = this.getQueue().slice(this.currentIndex + 1).find(track => !removed.has(track));
+        this.queue = this.queue.filter(track => !removed.has(track));
+        this.shuffledQueue = this.shuffledQueue.filter(track => !removed.has(track));
+        if (!removed.has(current)) {
+            this._queueChanged(current);
+            return;
+        }
+
+        const wasPlaying = this.isPlaying;
+        this._saveBookmark(current, true);
+        this._cancelPreload();
+        this.currentIndex = -1;
+        const index = following ? this.getQueue().indexOf(following) : -1;
+        if (index < 0 && !this.jukebox) {
+            this._stopDecoded();
+            this.audio.pause();
+            this.icyReader.stop();
+            this.audio.removeAttribute('src');
+            this.audio.load();
+        }
+        this._syncJukebox()
+            .then(() => {
+                if (index >= 0) return this.playIndex(index, { autoplay: wasPlaying });
+                return this.jukebox?.stop();
+            })
+            .catch(() => {});
+    }
+
+    /**
+     * Move tracks to another queue position
+     * Only the queue order changes; while shuffled, the play order stays.
+     * @param {number|Array<number>} from - Position(s) of the tracks to move
+     * @param {number} to - Position of the first moved track afterwards
+     */
+    move(from, to) {
+        const indices = [].concat(from).filter(i => i >= 0 && i < this.queue.length).sort((a, b) => a - b);
+        if (indices.length === 0) return;
+
+        const current = this.getCurrentTrack();
+        const moved = indices.map(i => this.queue[i]);
+        const tracks = this.queue.filter((_, i) => !indices.includes(i));
+        tracks.splice(Math.max(0, Math.min(to, tracks.length)), 0, ...moved);
+        this.queue = tracks;
+        if (!this.shuffle) this._queueChanged(current);
+    }
+
+    /**
+     * Replace the queued tracks without interrupting playback
+     * Unlike setQueue() the current track stays current if it is among the
+     * new tracks, and tracks that stay keep their shuffled order.
+     * @param {Array} tracks - New queue (each a distinct object)
+     */
+    replace(tracks) {
+        const current = this.getCurrentTrack();
+        const kept = new Set(tracks);
+        const previous = new Set(this.queue);
+        this.queue = [...tracks];
+        this.shuffledQueue = this.shuffledQueue.filter(track => kept.has(track));
+        this._shuffleIn(tracks.filter(track => !previous.has(track)),
+            this.shuffle ? this.shuffledQueue.indexOf(current) : -1);
+        this._queueChanged(current);
+    }
+
+    /**
+     * Bring the current index, the preloaded track and the jukebox in line
+     * with an edited queue
+     * @param {Object|null} current - Current track before the edit
+     * @param {boolean} resync - Send the new order to the jukebox
+     */
+    _queueChanged(current, resync = true) {
+        // A current track that is no longer queued plays on without a place in the queue
+        this.currentIndex = current ? this.getQueue().indexOf(current) : -1;
+
+        if (this.preloaded) {
+            const index = this._nextIndex();
+            if (this.getQueue()[index] === this.preloaded.track) {
+                this.preloaded.index = index;
+            } else {
+                this._cancelPreload();
+            }
+        }
+        if (resync) this._syncJukebox(true).catch(() => {});
     }
 
     /**
      * Clear the queue
      */
     clearQueue() {
+        this._cancelPreload();
         this.queue = [];
         this.shuffledQueue = [];
         this.currentIndex = -1;
+        this.jukebox?.clear().catch(() => {});
     }
 
     /**
@@ -170,19 +1040,114 @@ export class AudioPlayer {
         return null;
     }
 
+    /**
+     * Get the playback position within the current track
+     * @returns {number} Seconds
+     */
+    getCurrentTime() {
+        if (this.jukebox) return this.jukebox.status.position;
+        return this.streamOffset + this._output().currentTime;
+    }
+
+    /**
+     * Get the duration of the current track
+     * Streams started part-way (and transcoded streams without a known
+     * length) report the track's duration rather than the stream's.
+     * @returns {number} Seconds (0 if unknown)
+     */
+    getDuration() {
+        if (this.jukebox) return this.getCurrentTrack()?.duration || 0;
+        const duration = this._output().duration;
+        if (this.streamOffset === 0 && isFinite(duration) && duration > 0) return duration;
+        return this.getCurrentTrack()?.duration || 0;
+    }
+
+    /**
+     * Check whether a track is long enough to be bookmarked automatically
+     * @param {Object} track
+     * @returns {boolean}
+     */
+    shouldBookmark(track) {
+        if (!track || track.isLive || this.bookmarkThreshold <= 0) return false;
+        return (track.duration || 0) >= this.bookmarkThreshold;
+    }
+
+    /**
+     * Report the playback position of a long track
+     * @param {Object} track - Track the audio element is playing
+     * @param {boolean} force - Report even if little progress was made
+     */
+    _saveBookmark(track, force) {
+        if (!this.onBookmark || !this.shouldBookmark(track)) return;
+
+        const position = this.getCurrentTime();
+        if (position <= 0) return;
+        if (!force && Math.abs(position - this._lastBookmarkPosition) < BOOKMARK_INTERVAL_SECONDS) return;
+
+        this._lastBookmarkPosition = position;
+        const finished = position >= this.getDuration() - BOOKMARK_END_MARGIN_SECONDS;
+        this.onBookmark(track, finished ? null : position);
+    }
+
+    /**
+     * Check whether the current track is a live stream
+     * Live streams have no duration and cannot be seeked.
+     * @returns {boolean}
+     */
+    isLive() {
+        return Boolean(this.getCurrentTrack()?.isLive);
+    }
+
     /**
      * Play a track at index
      * @param {number} index - Track index
+     * @param {Object} options - Options
+     * @param {number} options.startTime - Position to start from (seconds);
+     *   defaults to what resolveStartTime returns for the track
+     * @param {boolean} options.autoplay - Start playing right away (default true)
      */
-    async playIndex(index) {
+    async playIndex(index, options = {}) {
         const queue = this.getQueue();
         if (index < 0 || index >= queue.length) return;
 
+        // Remember where we left a long track before switching away
+        const previous = this.getCurrentTrack();
+        if (previous && previous !== queue[index] && !this._output().ended) {
+            this._saveBookmark(previous, true);
+        }
+
+        this._cancelPreload();
+        this._stopDecoded();
         this.currentIndex = index;
         const track = queue[index];
+        const { startTime = this.resolveStartTime?.(track) || 0, autoplay = true } = options;
+        this._lastBookmarkPosition = startTime;
+
+        if (this.jukebox) {
+            await this._playOnJukebox(track, startTime, autoplay);
+            return;
+        }
 
         if (track.streamUrl) {
-            this.audio.src = track.streamUrl;
+            const seekUrl = !track.isLive && startTime > 0
+                ? await this.resolveSeekUrl?.(track, Math.floor(startTime))
+                : null;
+            this.streamOffset = seekUrl ? Math.floor(startTime) : 0;
+            this.audio.src = seekUrl || track.streamUrl;
+            this._applyReplayGain(this.audio, index);
+
+            this.icyReader.stop();
+            if (track.isLive) {
+                this.icyReader.start(track.streamUrl);
+            } else if (startTime > 0 && !seekUrl) {
+                // Before metadata loads this sets the initial playback position
+                this.audio.currentTime = startTime;
+            }
+
+            if (!autoplay) {
+                if (this.onTrackChange) this.onTrackChange(track);
+                return;
+            }
             
             // Resume audio context if suspended
             if (this.audioContext && this.audioContext.state === 'suspended') {
@@ -190,7 +1155,9 @@ export class AudioPlayer {
             }
 
             try {
+                this.transportId++;
                 await this.audio.play();
+                this._fadeIn();
                 if (this.onTrackChange) this.onTrackChange(track);
             } catch (e) {
                 console.error('Playback error:', e);
@@ -199,19 +1166,47 @@ export class AudioPlayer {
         }
     }
 
+    /**
+     * Play a queued track on the jukebox
+     * @param {Object} track
+     * @param {number} startTime - Seconds
+     * @param {boolean} autoplay
+     */
+    async _playOnJukebox(track, startTime, autoplay) {
+        const serverIndex = this._jukeboxIndex(this.currentIndex);
+        if (serverIndex < 0) {
+            if (this.onError) this.onError(new Error(`"${track.title}" cannot play on the jukebox`));
+            return;
+        }
+        try {
+            await this.jukebox.skip(serverIndex, startTime);
+            if (autoplay) await this.jukebox.start();
+            if (this.onTrackChange) this.onTrackChange(track);
+        } catch {
+            // Reported through the jukebox's onError
+        }
+    }
+
     /**
      * Play/resume
      */
     async play() {
         if (this.currentIndex < 0 && this.queue.length > 0) {
             this.playIndex(0);
+        } else if (this.jukebox) {
+            await this.jukebox.start().catch(() => {});
         } else {
             // Resume audio context if suspended
             if (this.audioContext && this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
             }
             try {
-                await this.audio.play();
+                const output = this._output();
+                const resuming = output.paused;
+                this.transportId++;
+                await output.play();
+                // Still playing means a pause() fading out was overtaken; undo its fade
+                this._fadeIn(resuming ? 0 : null);
             } catch (e) {
                 console.error('Play error:', e);
             }
@@ -219,10 +1214,21 @@ export class AudioPlayer {
     }
 
     /**
-     * Pause
+     * Pause (fades out first)
      */
-    pause() {
-        this.audio.pause();
+    async pause() {
+        if (this.jukebox) {
+            this.jukebox.stop().catch(() => {});
+            return;
+        }
+        if (this.fadingAudio) {
+            this._retire(this.fadingAudio);
+            this.fadingAudio = null;
+        }
+        const transportId = ++this.transportId;
+        await this._fadeOut();
+        // Playback may have been resumed during the fade
+        if (transportId === this.transportId) this._output().pause();
     }
 
     /**
@@ -237,11 +1243,27 @@ export class AudioPlayer {
     }
 
     /**
-     * Stop playback
+     * Stop playback (fades out first)
      */
-    stop() {
-        this.audio.pause();
-        this.audio.currentTime = 0;
+    async stop() {
+        if (this.jukebox) {
+            this.jukebox.stop().then(() => this.seek(0)).catch(() => {});
+            return;
+        }
+        this._cancelPreload();
+        const transportId = ++this.transportId;
+        await this._fadeOut();
+        if (transportId !== this.transportId) return;
+        this._output().pause();
+        if (this.isLive()) {
+            // Drop the connection instead of buffering a live stream while stopped
+            this.icyReader.stop();
+            this.audio.removeAttribute('src');
+            this.audio.load();
+            this.currentIndex = -1;
+        } else {
+            this.seek(0);
+        }
     }
 
     /**
@@ -263,8 +1285,9 @@ export class AudioPlayer {
     /**
      * Play next track
      */
-    next() {
+    async next() {
         if (this.hasNext()) {
+            await this._fadeOut();
             this.playIndex(this.currentIndex + 1);
         }
     }
@@ -273,21 +1296,49 @@ export class AudioPlayer {
      * Play previous track
      */
     previous() {
-        if (this.audio.currentTime > RESTART_THRESHOLD_SECONDS) {
+        if (!this.isLive() && this.getCurrentTime() > RESTART_THRESHOLD_SECONDS) {
             // If more than threshold seconds into song, restart it
-            this.audio.currentTime = 0;
+            this.seek(0);
         } else if (this.hasPrevious()) {
-            this.playIndex(this.currentIndex - 1);
+            this._fadeOut().then(() => this.playIndex(this.currentIndex - 1));
         }
     }
 
     /**
      * Seek to position
+     * Where resolveSeekUrl provides one, a new stream starting at the
+     * position is loaded (transcoded streams often cannot seek themselves).
      * @param {number} time - Time in seconds
+     * @returns {Promise<void>}
      */
-    seek(time) {
-        if (isFinite(time)) {
-            this.audio.currentTime = time;
+    async seek(time) {
+        if (!isFinite(time) || this.isLive()) return;
+        const track = this.getCurrentTrack();
+        time = Math.max(0, time);
+        this._cancelHandoff();
+
+        if (this.jukebox) {
+            const serverIndex = this._jukeboxIndex(this.currentIndex);
+            if (serverIndex < 0) return;
+            await this.jukebox.skip(serverIndex, time).catch(() => {});
+            // Servers differ in whether skip keeps playing
+            if (this.isPlaying) await this.jukebox.start().catch(() => {});
+            return;
+        }
+
+        const output = this._output();
+        const wasPlaying = !output.paused;
+        await this._fadeOut();
+        const offset = Math.floor(time);
+        // Decoded tracks are in memory and seek exactly
+        const seekUrl = track && output === this.audio ? await this.resolveSeekUrl?.(track, offset) : null;
+        if (seekUrl && track === this.getCurrentTrack()) {
+            this.streamOffset = offset;
+            this.audio.src = seekUrl;
+            if (wasPlaying) this.play();
+        } else {
+            output.currentTime = Math.max(0, time - this.streamOffset);
+            if (wasPlaying) this._fadeIn();
         }
     }
 
@@ -296,8 +1347,9 @@ export class AudioPlayer {
      * @param {number} percent - 0-100
      */
     seekPercent(percent) {
-        if (this.audio.duration) {
-            this.audio.currentTime = (percent / 100) * this.audio.duration;
+        const duration = this.getDuration();
+        if (duration > 0 && !this.isLive()) {
+            this.seek((percent / 100) * duration);
         }
     }
 
@@ -307,7 +1359,18 @@ export class AudioPlayer {
      */
     setVolume(volume) {
         this.volume = Math.max(0, Math.min(1, volume));
-        this.audio.volume = this.volume;
+        this._outputs().forEach(output => {
+            output.volume = this.volume;
+        });
+        if (this.jukebox && !this.audio.muted) this.jukebox.setGain(this.volume).catch(() => {});
+    }
+
+    /**
+     * Get both elements and every decoded track
+     * @returns {Set<HTMLAudioElement|DecodedTrack>}
+     */
+    _outputs() {
+        return new Set([this.audio, this.spareAudio, ...this.gainNodes.keys()]);
     }
 
     /**
@@ -322,7 +1385,11 @@ export class AudioPlayer {
      * Toggle mute
      */
     toggleMute() {
-        this.audio.muted = !this.audio.muted;
+        const muted = !this.audio.muted;
+        this._outputs().forEach(output => {
+            output.muted = muted;
+        });
+        if (this.jukebox) this.jukebox.setGain(this.audio.muted ? 0 : this.volume).catch(() => {});
     }
 
     /**
@@ -337,28 +1404,28 @@ export class AudioPlayer {
      * Toggle shuffle
      */
     toggleShuffle() {
+        // Read the current track before getQueue() switches orders
+        const current = this.getCurrentTrack();
         this.shuffle = !this.shuffle;
         
         if (this.shuffle) {
             // Keep current track at index 0 in shuffled queue
-            const current = this.getCurrentTrack();
             this.shuffledQueue = this._shuffleArray([...this.queue]);
             
             if (current) {
-                const idx = this.shuffledQueue.findIndex(t => t.id === current.id);
+                const idx = this.shuffledQueue.indexOf(current);
                 if (idx > 0) {
                     [this.shuffledQueue[0], this.shuffledQueue[idx]] = 
                     [this.shuffledQueue[idx], this.shuffledQueue[0]];
                 }
                 this.currentIndex = 0;
             }
-        } else {
+        } else if (current) {
             // Find current track in original queue
-            const current = this.getCurrentTrack();
-            if (current) {
-                this.currentIndex = this.queue.findIndex(t => t.id === current.id);
-            }
+            this.currentIndex = this.queue.indexOf(current);
         }
+        this._cancelPreload();
+        this._syncJukebox(true).catch(() => {});
     }
 
     /**
@@ -381,28 +1448,30 @@ export class AudioPlayer {
     getState() {
         return {
             isPlaying: this.isPlaying,
-            currentTime: this.audio.currentTime,
-            duration: this.audio.duration || 0,
+            currentTime: this.getCurrentTime(),
+            duration: this.getDuration(),
             volume: this.volume,
             muted: this.audio.muted,
             repeat: this.repeat,
             shuffle: this.shuffle,
             currentTrack: this.getCurrentTrack(),
+            isLive: this.isLive(),
             queueLength: this.queue.length,
             currentIndex: this.currentIndex
         };
     }
 
     /**
-     * Format time in seconds to mm:ss
+     * Format time in seconds to mm:ss (h:mm:ss from one hour)
      * @param {number} seconds 
      * @returns {string}
      */
     static formatTime(seconds) {
         if (!isFinite(seconds) || seconds < 0) return '0:00';
-        const mins = Math.floor(seconds / 60);
-        const secs = Math.floor(seconds % 60);
-        return `${mins}:${secs.toString().padStart(2, '0')}`;
+        const hours = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+        return hours > 0 ? `${hours}:${mins.toString().padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
     }
 }
 
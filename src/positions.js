@@ -0,0 +1,82 @@
+/**
+ * Playback Position Store
+ * Remembers where playback stopped in long items (e.g. podcast episodes)
+ * so they can pick up from the same point
+ */
+
+// Constants
+const MAX_ENTRIES = 500; // Oldest positions are dropped beyond this
+const FINISHED_MARGIN_SECONDS = 30; // This close to the end counts as finished
+
+export class PositionStore {
+    /**
+     * Create a position store
+     * @param {string} storageKey - localStorage key
+     */
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        this.positions = this._load();
+    }
+
+    /**
+     * Load positions from localStorage
+     * @returns {Object} id -> { position, updated }
+     */
+    _load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to load playback positions:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write positions to localStorage, dropping the oldest entries
+     */
+    _save() {
+        const entries = Object.entries(this.positions);
+        if (entries.length > MAX_ENTRIES) {
+            entries.sort((a, b) => b[1].updated - a[1].updated);
+            this.positions = Object.fromEntries(entries.slice(0, MAX_ENTRIES));
+        }
+        localStorage.setItem(this.storageKey, JSON.stringify(this.positions));
+    }
+
+    /**
+     * Get the saved position of an item
+     * @param {string} id - Item ID
+     * @returns {number} Position in seconds (0 if none)
+     */
+    get(id) {
+        return this.positions[id]?.position || 0;
+    }
+
+    /**
+     * Save the position of an item
+     * Positions near the end clear the entry, so finished items start over.
+     * @param {string} id - Item ID
+     * @param {number} position - Position in seconds
+     * @param {number} duration - Item duration in seconds (optional)
+     */
+    set(id, position, duration = 0) {
+        if (duration && position >= duration - FINISHED_MARGIN_SECONDS) {
+            this.clear(id);
+            return;
+        }
+        this.positions[id] = { position: Math.floor(position), updated: Date.now() };
+        this._save();
+    }
+
+    /**
+     * Forget the position of an item
+     * @param {string} id - Item ID
+     */
+    clear(id) {
+        if (!(id in this.positions)) return;
+        delete this.positions[id];
+        this._save();
+    }
+}
+
+export default PositionStore;
@@ -0,0 +1,331 @@
+/**
+ * Server Profiles Module
+ * Stores named server connections and gives each one its own storage
+ * namespace, so libraries, caches and positions of different servers
+ * never get mixed
+ */
+
+import { Vault } from './vault.js';
+
+// Constants
+const DEFAULT_STORAGE_KEY = 'somesonic_profiles';
+const LEGACY_SETTINGS_KEY = 'somesonic_settings';
+const SESSION_SUFFIX = '_session'; // sessionStorage key suffix for session-only credentials
+
+/**
+ * Where profile credentials (password and API key) are kept
+ * Names, URLs and usernames are always stored in plain localStorage.
+ */
+export const CredentialStorage = {
+    LOCAL: 'local',         // localStorage, base64 encoded (obfuscation only)
+    ENCRYPTED: 'encrypted', // localStorage, encrypted with a master passphrase
+    SESSION: 'session'      // sessionStorage, forgotten when the browser closes
+};
+
+/**
+ * Build a storage key that belongs to one profile
+ * @param {Object} profile - Server profile
+ * @param {string} name - Key name
+ * @returns {string}
+ */
+export function profileKey(profile, name) {
+    return `somesonic:${profile.id}:${name}`;
+}
+
+/**
+ * Suggest a profile name from a server URL
+ * @param {string} serverUrl
+ * @returns {string}
+ */
+export function nameFromUrl(serverUrl) {
+    try {
+        return new URL(serverUrl).host || serverUrl;
+    } catch {
+        return serverUrl || 'Server';
+    }
+}
+
+/**
+ * Create a new profile ID
+ * @returns {string}
+ */
+function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+export class ProfileStore {
+    /**
+     * Create a profile store
+     * @param {string} storageKey - localStorage key
+     */
+    constructor(storageKey = DEFAULT_STORAGE_KEY) {
+        this.storageKey = storageKey;
+        this.defaultId = null;
+        this.profiles = [];
+        this.storage = CredentialStorage.LOCAL;
+        this.vault = null; // Unlocked vault in encrypted mode
+        this.sealed = null; // Encrypted credentials as stored
+        this.writing = Promise.resolve();
+        this._load();
+    }
+
+    /**
+     * Load profiles from localStorage
+     * In encrypted mode the credentials stay empty until unlock().
+     */
+    _load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                this.defaultId = saved.defaultId || null;
+                this.storage = saved.storage || CredentialStorage.LOCAL;
+                this.sealed = saved.vault || null;
+                this.profiles = (saved.profiles || []).map(({ password, apiKey, ...profile }) => ({
+                    ...profile,
+                    password: '',
+                    apiKey: ''
+                }));
+
+                if (this.storage === CredentialStorage.LOCAL) {
+                    this._applySecrets(Object.fromEntries((saved.profiles || []).map(profile => [profile.id, {
+                        password: profile.password ? atob(profile.password) : '',
+                        apiKey: profile.apiKey ? atob(profile.apiKey) : ''
+                    }])));
+                } else if (this.storage === CredentialStorage.SESSION) {
+                    this._applySecrets(JSON.parse(sessionStorage.getItem(this.storageKey + SESSION_SUFFIX)) || {});
+                }
+                return;
+            }
+        } catch (error) {
+            console.error('Failed to load server profiles:', error);
+        }
+        this._migrate();
+    }
+
+    /**
+     * Fill in profile credentials
+     * @param {Object} secrets - Profile ID -> { password, apiKey }
+     */
+    _applySecrets(secrets) {
+        this.profiles.forEach(profile => {
+            profile.password = secrets[profile.id]?.password || '';
+            profile.apiKey = secrets[profile.id]?.apiKey || '';
+        });
+    }
+
+    /**
+     * Collect profile credentials
+     * @returns {Object} Profile ID -> { password, apiKey }
+     */
+    _collectSecrets() {
+        return Object.fromEntries(this.profiles.map(profile => [profile.id, {
+            password: profile.password || '',
+            apiKey: profile.apiKey || ''
+        }]));
+    }
+
+    /**
+     * Turn the single server of older versions into the first profile
+     */
+    _migrate() {
+        try {
+            const legacy = JSON.parse(localStorage.getItem(LEGACY_SETTINGS_KEY));
+            if (!legacy?.serverUrl) return;
+
+            const profile = {
+                id: createId(),
+                name: nameFromUrl(legacy.serverUrl),
+                serverUrl: legacy.serverUrl,
+                username: legacy.username || '',
+                password: legacy.password ? atob(legacy.password) : '',
+                apiKey: legacy.apiKey ? atob(legacy.apiKey) : ''
+            };
+            this.profiles.push(profile);
+            this.defaultId = profile.id;
+            this._save();
+
+            // Keep the app preferences, drop the credentials
+            const { serverUrl, username, password, apiKey, ...preferences } = legacy;
+            localStorage.setItem(LEGACY_SETTINGS_KEY, JSON.stringify(preferences));
+        } catch (error) {
+            console.error('Failed to migrate server settings:', error);
+        }
+    }
+
+    /**
+     * Write profiles to storage
+     * Writes are queued so an older encryption never overwrites a newer one.
+     * @returns {Promise<void>}
+     */
+    _save() {
+        const write = this.writing.then(() => this._write());
+        this.writing = write.catch(error => console.error('Failed to save server profiles:', error));
+        return write;
+    }
+
+    /**
+     * Write profiles in the current credential storage mode
+     * While locked, the stored encrypted credentials are kept as they are.
+     */
+    async _write() {
+        const encoded = this.storage === CredentialStorage.LOCAL;
+        if (this.storage === CredentialStorage.ENCRYPTED && this.vault) {
+            this.sealed = await this.vault.seal(this._collectSecrets());
+        }
+
+        if (this.storage === CredentialStorage.SESSION) {
+            sessionStorage.setItem(this.storageKey + SESSION_SUFFIX, JSON.stringify(this._collectSecrets()));
+        } else {
+            sessionStorage.removeItem(this.storageKey + SESSION_SUFFIX);
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            defaultId: this.defaultId,
+            storage: this.storage,
+            vault: this.storage === CredentialStorage.ENCRYPTED ? this.sealed : undefined,
+            profiles: this.profiles.map(({ password, apiKey, ...profile }) => encoded
+                ? { ...profile, password: btoa(password || ''), apiKey: btoa(apiKey || '') }
+                : profile)
+        }));
+    }
+
+    /**
+     * Check whether the credentials wait for the master passphrase
+     * @returns {boolean}
+     */
+    isLocked() {
+        return this.storage === CredentialStorage.ENCRYPTED && !this.vault;
+    }
+
+    /**
+     * Decrypt the credentials with the master passphrase
+     * @param {string} passphrase
+     * @throws {Error} If the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        if (!this.isLocked()) return;
+        if (!this.sealed) {
+            // Nothing was encrypted yet; the passphrase starts a new vault
+            this.vault = await Vault.create(passphrase);
+            return;
+        }
+        const { vault, value } = await Vault.open(passphrase, this.sealed);
+        this.vault = vault;
+        this._applySecrets(value);
+    }
+
+    /**
+     * Change where credentials are kept
+     * Switching to encrypted storage also replaces the base64 entries of
+     * local storage. A new passphrase re-encrypts with a fresh key.
+     * @param {string} storage - A CredentialStorage value
+     * @param {string} passphrase - Master passphrase (encrypted storage; optional when already unlocked)
+     * @returns {Promise<void>}
+     */
+    async setStorage(storage, passphrase = '') {
+        if (this.isLocked()) throw new Error('Unlock the saved credentials first');
+
+        if (storage === CredentialStorage.ENCRYPTED) {
+            if (passphrase) {
+                this.vault = await Vault.create(passphrase);
+            } else if (!this.vault) {
+                throw new Error('A master passphrase is required');
+            }
+        } else {
+            this.vault = null;
+            this.sealed = null;
+        }
+        this.storage = storage;
+        await this._save();
+    }
+
+    /**
+     * Drop all saved credentials, e.g. after forgetting the passphrase
+     * Profiles are kept; their passwords and API keys have to be entered again.
+     * @returns {Promise<void>}
+     */
+    async forgetCredentials() {
+        this._applySecrets({});
+        this.vault = null;
+        this.sealed = null;
+        this.storage = CredentialStorage.LOCAL;
+        await this._save();
+    }
+
+    /**
+     * Get all profiles
+     * @returns {Array<Object>} Profiles ({ id, name, serverUrl, username, password, apiKey })
+     */
+    list() {
+        return this.profiles;
+    }
+
+    /**
+     * Get a profile by ID
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.profiles.find(profile => profile.id === id);
+    }
+
+    /**
+     * Get the profile connected at startup
+     * @returns {Object|undefined} The default profile, or the first one
+     */
+    getDefault() {
+        return this.get(this.defaultId) || this.profiles[0];
+    }
+
+    /**
+     * Add or update a profile
+     * @param {Object} profile - Profile; one without an ID is added
+     * @returns {Promise<Object>} The stored profile
+     */
+    async save(profile) {
+        if (this.isLocked()) throw new Error('Unlock the saved credentials first');
+
+        const existing = profile.id && this.get(profile.id);
+        let stored;
+        if (existing) {
+            stored = Object.assign(existing, profile);
+        } else {
+            stored = { ...profile, id: createId() };
+            this.profiles.push(stored);
+        }
+        if (!this.defaultId) this.defaultId = stored.id;
+        await this._save();
+        return stored;
+    }
+
+    /**
+     * Delete a profile and everything stored in its namespace
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const profile = this.get(id);
+        if (!profile) return;
+
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        if (this.defaultId === id) this.defaultId = this.profiles[0]?.id || null;
+        await this._save();
+
+        const prefix = profileKey(profile, '');
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => localStorage.removeItem(key));
+    }
+
+    /**
+     * Choose the profile connected at startup
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    async setDefault(id) {
+        this.defaultId = id;
+        await this._save();
+    }
+}
+
+export default ProfileStore;
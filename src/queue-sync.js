@@ -0,0 +1,125 @@
+/**
+ * Play Queue Sync Module
+ * Saves the play queue, current track and position on the server so
+ * playback can be resumed after a reload or on another device
+ */
+
+// Constants
+const DEFAULT_SAVE_INTERVAL_MS = 30000;
+const SAVE_DEBOUNCE_MS = 2000;
+
+export class PlayQueueSync {
+    /**
+     * Create a play queue sync
+     * @param {SubsonicClient} client - Subsonic client
+     * @param {AudioPlayer} player - Audio player
+     * @param {Object} options - Options
+     * @param {number} options.interval - Save interval while playing (ms)
+     */
+    constructor(client, player, options = {}) {
+        this.client = client;
+        this.player = player;
+        this.interval = options.interval || DEFAULT_SAVE_INTERVAL_MS;
+        this.intervalId = null;
+        this.debounceId = null;
+        this.lastSaved = null;
+
+        this._onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.save();
+        };
+    }
+
+    /**
+     * Start periodic saving
+     */
+    start() {
+        if (this.intervalId) return;
+        this.intervalId = setInterval(() => {
+            if (this.player.isPlaying) this.save();
+        }, this.interval);
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+    }
+
+    /**
+     * Stop periodic saving
+     */
+    stop() {
+        clearInterval(this.intervalId);
+        clearTimeout(this.debounceId);
+        this.intervalId = null;
+        this.debounceId = null;
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+    }
+
+    /**
+     * Save soon, collapsing bursts of changes into one request
+     */
+    schedule() {
+        clearTimeout(this.debounceId);
+        this.debounceId = setTimeout(() => this.save(), SAVE_DEBOUNCE_MS);
+    }
+
+    /**
+     * Save the queue now
+     * Only server songs are saved (live streams have no song ID), and an
+     * empty queue is never saved so it cannot wipe a queue left by
+     * another device.
+     */
+    async save() {
+        clearTimeout(this.debounceId);
+
+        const current = this.player.getCurrentTrack();
+        const queue = this.player.getQueue().filter(track => !track.isLive);
+        const currentIndex = queue.indexOf(current);
+        if (currentIndex < 0) return;
+
+        const ids = queue.map(track => track.id);
+        const position = Math.floor(this.player.getState().currentTime * 1000);
+
+        // Nothing changed since the last save
+        const key = `${ids.join(',')}|${currentIndex}|${position}`;
+        if (key === this.lastSaved) return;
+
+        try {
+            if (this.client.supports('indexBasedQueue')) {
+                await this.client.savePlayQueueByIndex(ids, currentIndex, position);
+            } else {
+                await this.client.savePlayQueue(ids, current.id, position);
+            }
+            this.lastSaved = key;
+        } catch (error) {
+            console.warn('Failed to save play queue:', error);
+        }
+    }
+
+    /**
+     * Fetch the saved queue from the server
+     * @returns {Promise<Object|null>} { songs, index, position (s), changed, changedBy } or null
+     */
+    async fetch() {
+        if (this.client.supports('indexBasedQueue')) {
+            const queue = await this.client.getPlayQueueByIndex();
+            if (!queue?.entry?.length) return null;
+            return {
+                songs: queue.entry,
+                index: Math.min(Math.max(queue.currentIndex || 0, 0), queue.entry.length - 1),
+                position: (queue.position || 0) / 1000,
+                changed: queue.changed,
+                changedBy: queue.changedBy
+            };
+        }
+
+        const queue = await this.client.getPlayQueue();
+        if (!queue?.entry?.length) return null;
+        const index = queue.entry.findIndex(song => song.id === queue.current);
+        return {
+            songs: queue.entry,
+            index: Math.max(index, 0),
+            position: (queue.position || 0) / 1000,
+            changed: queue.changed,
+            changedBy: queue.changedBy
+        };
+    }
+}
+
+export default PlayQueueSync;
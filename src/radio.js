@@ -0,0 +1,216 @@
+/**
+ * Radio Module
+ * Auto-DJ that keeps the play queue filled with songs related to what
+ * was played recently, so playback never runs out
+ */
+
+// Constants
+const LOW_WATER = 3;            // Refill when this few tracks are left
+const BATCH_SIZE = 10;          // Songs added per refill
+const SIMILAR_SEEDS = 3;        // Recent plays used as similar-song seeds
+const SIMILAR_COUNT = 50;       // Candidates requested per seed
+const HISTORY_SIZE = 200;       // Recently played songs that are not repeated
+const ARTIST_GAP = 5;           // Recently played artists that are skipped
+const YEAR_SPAN = 5;            // Random fallback picks years within this range
+
+/**
+ * Shuffle a copy of an array
+ * @param {Array} array
+ * @returns {Array}
+ */
+function shuffled(array) {
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+export class AutoDj {
+    /**
+     * Create an auto-DJ
+     * @param {SubsonicClient} client - Subsonic client
+     * @param {AudioPlayer} player - Audio player
+     */
+    constructor(client, player) {
+        this.client = client;
+        this.player = player;
+        this.enabled = false;
+        this.seed = null;
+        this.history = []; // { id, artist, genre, year }, oldest first
+        this.historyMark = 0; // History length when the radio started
+        this.filling = null;
+        this.musicFolderId = null; // Random songs only come from this folder if set
+
+        // Event callbacks
+        this.onSongs = null; // async (songs) appends songs to the queue
+    }
+
+    /**
+     * Start the radio
+     * @param {Object} seed - What the radio starts from
+     * @param {string} seed.type - 'song', 'artist' or 'genre'
+     * @param {string} seed.id - Song or artist ID (not for genres)
+     * @param {string} seed.name - Display name
+     * @param {string} seed.genre - Genre (optional for songs)
+     * @param {number} seed.year - Year (optional, songs only)
+     */
+    start(seed) {
+        this.seed = seed;
+        this.enabled = true;
+        this.historyMark = this.history.length;
+    }
+
+    /**
+     * Stop the radio
+     */
+    stop() {
+        this.enabled = false;
+        this.seed = null;
+    }
+
+    /**
+     * Stop the radio and forget the play history (e.g. when switching servers)
+     */
+    reset() {
+        this.stop();
+        this.history = [];
+        this.historyMark = 0;
+    }
+
+    /**
+     * Remember a played track
+     * Recorded even while the radio is off, so it can seed from recent plays.
+     * @param {Object} track
+     */
+    noteTrack(track) {
+        if (!track || track.isLive || track.isPodcast) return;
+        if (this.history[this.history.length - 1]?.id === track.id) return;
+
+        this.history.push({ id: track.id, artist: track.artist, genre: track.genre, year: track.year });
+        if (this.history.length > HISTORY_SIZE) {
+            const dropped = this.history.length - HISTORY_SIZE;
+            this.history.splice(0, dropped);
+            this.historyMark = Math.max(0, this.historyMark - dropped);
+        }
+    }
+
+    /**
+     * Number of tracks queued after the current one
+     * @returns {number}
+     */
+    remaining() {
+        return this.player.getQueue().length - this.player.currentIndex - 1;
+    }
+
+    /**
+     * Add songs if the radio is on and the queue is running low
+     * Concurrent calls share one refill.
+     * @returns {Promise<boolean>} True if songs were added
+     */
+    async fill() {
+        if (!this.enabled || this.remaining() >= LOW_WATER) return false;
+        if (!this.filling) {
+            this.filling = this._fill().finally(() => {
+                this.filling = null;
+            });
+        }
+        return this.filling;
+    }
+
+    /**
+     * Pick songs and hand them over, unless the radio changed meanwhile
+     * @returns {Promise<boolean>}
+     */
+    async _fill() {
+        const seed = this.seed;
+        try {
+            const songs = await this.pickSongs();
+            if (!this.enabled || this.seed !== seed || songs.length === 0) return false;
+            if (this.onSongs) await this.onSongs(songs);
+            return true;
+        } catch (error) {
+            console.warn('Radio could not add songs:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Pick the next songs
+     * Similar songs of recent plays come first; random songs of the current
+     * genre and era make up the rest. Songs played recently or already
+     * queued are skipped, as are recently played artists, and each artist
+     * appears at most once per batch.
+     * @param {number} count - Number of songs
+     * @returns {Promise<Array>} Songs
+     */
+    async pickSongs(count = BATCH_SIZE) {
+        const excluded = new Set([
+            ...this.history.map(song => song.id),
+            ...this.player.getQueue().map(track => track.id)
+        ]);
+        const artists = new Set(this.history.slice(-ARTIST_GAP).map(song => song.artist));
+        const picked = [];
+
+        const take = songs => {
+            for (const song of shuffled(songs)) {
+                if (picked.length >= count) return;
+                if (excluded.has(song.id) || artists.has(song.artist)) continue;
+                picked.push(song);
+                excluded.add(song.id);
+                artists.add(song.artist);
+            }
+        };
+
+        for (const id of this._similarSeeds()) {
+            if (picked.length >= count) break;
+            take(await this.client.getSimilarSongs2(id, { count: SIMILAR_COUNT }).catch(() => []));
+        }
+
+        // Widen the filter step by step until the batch is full
+        for (const filter of this._randomFilters()) {
+            if (picked.length >= count) break;
+            take(await this.client.getRandomSongs({
+                size: SIMILAR_COUNT,
+                musicFolderId: this.musicFolderId ?? undefined,
+                ...filter
+            }));
+        }
+
+        return picked;
+    }
+
+    /**
+     * IDs to ask for similar songs: recent plays since the radio started,
+     * newest first, then the seed itself
+     * @returns {Array<string>}
+     */
+    _similarSeeds() {
+        const recent = this.history.slice(this.historyMark).slice(-SIMILAR_SEEDS).reverse();
+        const ids = recent.map(song => song.id);
+        if (this.seed?.id && !ids.includes(this.seed.id)) ids.push(this.seed.id);
+        return ids;
+    }
+
+    /**
+     * getRandomSongs filters from narrowest to widest
+     * Genre radios never leave their genre.
+     * @returns {Array<Object>}
+     */
+    _randomFilters() {
+        if (this.seed?.type === 'genre') return [{ genre: this.seed.genre }];
+
+        const recent = this.history.slice(this.historyMark);
+        const last = recent[recent.length - 1] || this.seed || {};
+        const filters = [];
+        if (last.genre && last.year) {
+            filters.push({ genre: last.genre, fromYear: last.year - YEAR_SPAN, toYear: last.year + YEAR_SPAN });
+        }
+        if (last.genre) filters.push({ genre: last.genre });
+        filters.push({});
+        return filters;
+    }
+}
+
+export default AutoDj;
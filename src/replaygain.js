@@ -0,0 +1,45 @@
+/**
+ * ReplayGain Module
+ * Turns the OpenSubsonic replayGain fields of a song into the gain that
+ * plays it at a common loudness
+ */
+
+// Constants
+export const REPLAY_GAIN_MODES = {
+    off: 'Off',
+    track: 'Track',
+    album: 'Album',
+    auto: 'Auto' // Album gain while an album plays in order, track gain otherwise
+};
+
+/**
+ * Convert decibels to a gain factor
+ * @param {number} db
+ * @returns {number}
+ */
+function fromDecibels(db) {
+    return Math.pow(10, db / 20);
+}
+
+/**
+ * Get the gain factor for a song
+ * Tags of the other kind stand in when the wanted one is missing; songs
+ * without any get the fallback gain instead. The result never lifts the
+ * tagged peak above full scale.
+ * @param {Object|null} replayGain - OpenSubsonic replayGain ({ trackGain, albumGain, trackPeak, albumPeak })
+ * @param {boolean} useAlbum - Prefer album over track values
+ * @param {Object} options
+ * @param {number} options.preamp - Added to every gain (dB)
+ * @param {number} options.fallback - Gain of untagged songs (dB)
+ * @returns {number} Linear gain factor
+ */
+export function replayGainFactor(replayGain, useAlbum, { preamp = 0, fallback = 0 } = {}) {
+    const track = { gain: replayGain?.trackGain, peak: replayGain?.trackPeak };
+    const album = { gain: replayGain?.albumGain, peak: replayGain?.albumPeak };
+    const [first, second] = useAlbum ? [album, track] : [track, album];
+    const chosen = Number.isFinite(first.gain) ? first : Number.isFinite(second.gain) ? second : null;
+
+    if (!chosen) return fromDecibels(fallback + preamp);
+    const factor = fromDecibels(chosen.gain + preamp);
+    return chosen.peak > 0 ? Math.min(factor, 1 / chosen.peak) : factor;
+}
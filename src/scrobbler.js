@@ -0,0 +1,212 @@
+/**
+ * Scrobbler Module
+ * Reports playback to the server: a now-playing notification when a track
+ * starts and a submission once enough of it was heard. Submissions that
+ * cannot reach the server are kept and sent later with their original time.
+ */
+
+import { SubsonicError } from './subsonic.js';
+
+// Constants
+const SUBMIT_FRACTION = 0.5;     // Submit after this share of the track...
+const SUBMIT_SECONDS = 240;      // ...or this many seconds, whichever comes first
+const MIN_TRACK_SECONDS = 30;    // Shorter tracks are never submitted
+const MAX_STEP_SECONDS = 5;      // Larger jumps between updates are seeks, not listening
+const MAX_QUEUED = 1000;         // Oldest offline scrobbles are dropped beyond this
+const FLUSH_BATCH_SIZE = 50;     // Scrobbles sent per request when flushing
+const FLUSH_INTERVAL_MS = 60000; // Retry interval while scrobbles are queued
+
+/**
+ * Check whether a failed request should be retried later
+ * Only network failures, timeouts and server-side HTTP errors count; API
+ * errors (e.g. an unknown song), other HTTP errors and replies that are not
+ * JSON will not go away by waiting.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isOfflineError(error) {
+    if (!(error instanceof SubsonicError) || error.code !== null) return false;
+    if (error.timeout) return true;
+    if (error.status === null) return !(error.cause instanceof SyntaxError);
+    return error.status === 429 || error.status >= 500;
+}
+
+export class Scrobbler {
+    /**
+     * Create a scrobbler
+     * @param {SubsonicClient} client - Subsonic client
+     * @param {string} storageKey - localStorage key for the offline queue
+     */
+    constructor(client, storageKey) {
+        this.client = client;
+        this.storageKey = storageKey;
+        this.queue = this._load(); // [{ id, time }], oldest first
+        this.current = null;
+        this.flushing = null;
+        this.flushId = null;
+        this.stopped = false;
+
+        this._onOnline = () => this.flush();
+    }
+
+    /**
+     * Start sending queued scrobbles
+     */
+    start() {
+        this.stopped = false;
+        window.addEventListener('online', this._onOnline);
+        this.flush();
+    }
+
+    /**
+     * Stop retrying queued scrobbles (they stay stored)
+     */
+    stop() {
+        this.stopped = true;
+        window.removeEventListener('online', this._onOnline);
+        clearTimeout(this.flushId);
+        this.flushId = null;
+        this.current = null;
+    }
+
+    /**
+     * Load the offline queue from localStorage
+     * @returns {Array<Object>}
+     */
+    _load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Failed to load queued scrobbles:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the offline queue to localStorage
+     */
+    _save() {
+        if (this.queue.length > MAX_QUEUED) this.queue.splice(0, this.queue.length - MAX_QUEUED);
+        if (this.queue.length > 0) {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.queue));
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    /**
+     * A track became the current one
+     * Nothing is reported until it actually plays.
+     * @param {Object} track
+     */
+    trackStarted(track) {
+        const scrobbled = track && !track.isLive && !track.isPodcast && track.streamUrl;
+        this.current = scrobbled ? {
+            track,
+            startedAt: null,
+            lastPosition: null,
+            listened: 0,
+            submitted: false
+        } : null;
+    }
+
+    /**
+     * The current track played to its end
+     * If it plays again (repeat), that counts as a new play.
+     */
+    trackEnded() {
+        if (this.current) this.trackStarted(this.current.track);
+    }
+
+    /**
+     * Playback position of the current track changed
+     * Only time actually listened counts: seeks are skipped over, paused
+     * time adds nothing, and each play is submitted at most once.
+     * @param {number} position - Seconds
+     * @param {number} duration - Seconds (falls back to the track's)
+     */
+    progress(position, duration) {
+        const play = this.current;
+        if (!play) return;
+
+        const step = play.lastPosition === null ? 0 : position - play.lastPosition;
+        play.lastPosition = position;
+        if (step <= 0 || step > MAX_STEP_SECONDS) return;
+
+        if (play.startedAt === null) {
+            play.startedAt = Date.now();
+            this._nowPlaying(play.track);
+        }
+        play.listened += step;
+
+        const length = play.track.duration || duration || 0;
+        if (play.submitted || length < MIN_TRACK_SECONDS) return;
+        if (play.listened >= Math.min(length * SUBMIT_FRACTION, SUBMIT_SECONDS)) {
+            play.submitted = true;
+            this._submit({ id: play.track.id, time: play.startedAt });
+        }
+    }
+
+    /**
+     * Tell the server what is playing (not retried; it is only current once)
+     * @param {Object} track
+     */
+    async _nowPlaying(track) {
+        try {
+            await this.client.scrobble(track.id, false);
+        } catch (error) {
+            console.warn('Failed to send now playing:', error);
+        }
+    }
+
+    /**
+     * Queue a scrobble and send it along with any older ones
+     * @param {Object} entry - { id, time }
+     */
+    _submit(entry) {
+        this.queue.push(entry);
+        this._save();
+        this.flush();
+    }
+
+    /**
+     * Send queued scrobbles in order
+     * Stops at the first network failure and retries later.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this._flush().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Send queued scrobbles in batches
+     */
+    async _flush() {
+        clearTimeout(this.flushId);
+        this.flushId = null;
+
+        // A stopped scrobbler's client may already talk to another server
+        while (this.queue.length > 0 && !this.stopped) {
+            const batch = this.queue.slice(0, FLUSH_BATCH_SIZE);
+            try {
+                await this.client.scrobble(batch.map(entry => entry.id), true, batch.map(entry => entry.time));
+            } catch (error) {
+                if (isOfflineError(error)) {
+                    if (this.stopped) return;
+                    this.flushId = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+                    return;
+                }
+                console.warn('Server rejected scrobbles, dropping them:', error);
+            }
+            this.queue.splice(0, batch.length);
+            this._save();
+        }
+    }
+}
+
+export default Scrobbler;
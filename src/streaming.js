@@ -0,0 +1,51 @@
+/**
+ * Streaming Profiles Module
+ * Transcoding presets for the stream endpoint, and the format the server
+ * delivers for a song under each of them
+ */
+
+// Constants
+export const STREAMING_PROFILES = {
+    original: { label: 'Original', format: null, maxBitRate: null },
+    'mp3-320': { label: 'MP3 320 kbps', format: 'mp3', maxBitRate: 320 },
+    'opus-128': { label: 'Opus 128 kbps', format: 'opus', maxBitRate: 128 }
+};
+export const CUSTOM_PROFILE = 'custom';
+
+/**
+ * Get the stream parameters of a profile
+ * @param {string} profileId - Key of STREAMING_PROFILES or CUSTOM_PROFILE
+ * @param {Object} custom - Custom profile ({ format, maxBitRate })
+ * @returns {{format: string|undefined, maxBitRate: number|undefined}}
+ */
+export function streamOptions(profileId, custom = {}) {
+    const profile = profileId === CUSTOM_PROFILE ? custom : STREAMING_PROFILES[profileId];
+    return {
+        format: profile?.format || undefined,
+        maxBitRate: profile?.maxBitRate || undefined
+    };
+}
+
+/**
+ * Work out what the server sends for a song
+ * Subsonic servers only transcode when the requested format differs from
+ * the file's or the file exceeds the bitrate limit; otherwise the original
+ * file is streamed.
+ * @param {Object} song - Song with the source suffix and bitRate
+ * @param {Object} options - Stream parameters ({ format, maxBitRate })
+ * @returns {{suffix: string, bitRate: number|null, transcoded: boolean}}
+ */
+export function deliveredFormat(song, { format, maxBitRate } = {}) {
+    const suffix = (song.suffix || '').toLowerCase();
+    const sameFormat = !format || format === 'raw' || format === suffix;
+    const withinLimit = !maxBitRate || (song.bitRate > 0 && song.bitRate <= maxBitRate);
+
+    if (format === 'raw' || (sameFormat && withinLimit)) {
+        return { suffix: song.suffix, bitRate: song.bitRate || null, transcoded: false };
+    }
+    return {
+        suffix: format && format !== 'raw' ? format : song.suffix,
+        bitRate: maxBitRate ? Math.min(maxBitRate, song.bitRate || maxBitRate) : null,
+        transcoded: true
+    };
+}
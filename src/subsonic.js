@@ -6,6 +6,112 @@
 
 const API_VERSION = '1.16.1';
 const CLIENT_NAME = 'SomeSonic';
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500; // Doubled after every failed attempt
+
+/**
+ * Error raised by the Subsonic client
+ * Carries the Subsonic error code (for API failures), the HTTP status and
+ * whether the request timed out. Cancelled requests reject with the
+ * browser's AbortError instead; use isAbortError() to tell them apart.
+ */
+export class SubsonicError extends Error {
+    // Subsonic API error codes
+    static GENERIC = 0;
+    static MISSING_PARAMETER = 10;
+    static CLIENT_TOO_OLD = 20;
+    static SERVER_TOO_OLD = 30;
+    static WRONG_CREDENTIALS = 40;
+    static TOKEN_AUTH_NOT_SUPPORTED = 41;
+    static AUTH_MECHANISM_NOT_SUPPORTED = 42;
+    static CONFLICTING_AUTH = 43;
+    static INVALID_API_KEY = 44;
+    static NOT_AUTHORIZED = 50;
+    static TRIAL_EXPIRED = 60;
+    static NOT_FOUND = 70;
+
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Error details
+     * @param {number|null} details.code - Subsonic error code
+     * @param {number|null} details.status - HTTP status
+     * @param {string|null} details.endpoint - API endpoint
+     * @param {boolean} details.timeout - True if the request timed out
+     * @param {Error} details.cause - Underlying error
+     */
+    constructor(message, { code = null, status = null, endpoint = null, timeout = false, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'SubsonicError';
+        this.code = code;
+        this.status = status;
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+    }
+
+    /**
+     * True for authentication failures (wrong credentials or API key)
+     * @returns {boolean}
+     */
+    get isAuthError() {
+        return this.code !== null && this.code >= SubsonicError.WRONG_CREDENTIALS &&
+            this.code <= SubsonicError.INVALID_API_KEY;
+    }
+}
+
+/**
+ * Check whether an error comes from a cancelled request
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * Network errors, timeouts, 429 and 5xx responses are transient;
+ * Subsonic API errors are not.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    if (!(error instanceof SubsonicError) || error.code !== null) return false;
+    return error.timeout || error.status === null || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Check whether an endpoint only reads data and can safely be repeated
+ * @param {string} endpoint
+ * @returns {boolean}
+ */
+function isIdempotent(endpoint) {
+    return /^(ping|get|search)/.test(endpoint);
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
 /**
  * Generate MD5 hash for authentication
@@ -201,6 +307,22 @@ function generateSalt() {
     return Array.from(array).map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * Compare two dotted version strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+    const pa = String(a).split('.').map(Number);
+    const pb = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
 /**
  * Subsonic API Client Class
  */
@@ -211,13 +333,33 @@ export class SubsonicClient {
      * @param {string} config.serverUrl - Server URL
      * @param {string} config.username - Username
      * @param {string} config.password - Password
+     * @param {string} config.apiKey - OpenSubsonic API key
+     * @param {number} config.timeout - Request timeout in ms
+     * @param {number} config.retries - Retries for idempotent requests
+     * @param {number} config.retryDelay - Initial retry delay in ms
      */
     constructor(config = {}) {
         this.serverUrl = config.serverUrl || '';
         this.username = config.username || '';
         this.password = config.password || '';
+        this.apiKey = config.apiKey || '';
+        this.timeout = config.timeout ?? DEFAULT_TIMEOUT_MS;
+        this.retries = config.retries ?? DEFAULT_RETRIES;
+        this.retryDelay = config.retryDelay ?? RETRY_BASE_DELAY_MS;
         this.salt = generateSalt();
         this.token = null;
+        this._resetServerInfo();
+    }
+
+    /**
+     * Forget everything learned about the server
+     */
+    _resetServerInfo() {
+        this.openSubsonic = false;
+        this.serverType = null;
+        this.serverVersion = null;
+        this.apiVersion = API_VERSION;
+        this.extensions = new Map(); // name -> supported versions
     }
 
     /**
@@ -225,13 +367,16 @@ export class SubsonicClient {
      * @param {string} serverUrl 
      * @param {string} username 
      * @param {string} password 
+     * @param {string} apiKey - OpenSubsonic API key (optional)
      */
-    setCredentials(serverUrl, username, password) {
+    setCredentials(serverUrl, username, password, apiKey = '') {
         this.serverUrl = serverUrl.replace(/\/$/, ''); // Remove trailing slash
         this.username = username;
         this.password = password;
+        this.apiKey = apiKey;
         this.salt = generateSalt();
         this.token = null;
+        this._resetServerInfo();
     }
 
     /**
@@ -248,121 +393,387 @@ export class SubsonicClient {
     }
 
     /**
-     * Build API URL with authentication parameters
-     * @param {string} endpoint - API endpoint
+     * Check whether the server advertises an OpenSubsonic extension
+     * @param {string} extension - Extension name (e.g. 'songLyrics', 'formPost')
+     * @param {number} version - Minimum extension version (optional)
+     * @returns {boolean}
+     */
+    supports(extension, version) {
+        const versions = this.extensions.get(extension);
+        if (!versions) return false;
+        return version === undefined || versions.some(v => v >= version);
+    }
+
+    /**
+     * Get the capability map of the connected server
+     * @returns {Object} Extension name -> supported versions
+     */
+    getCapabilities() {
+        return Object.fromEntries(this.extensions);
+    }
+
+    /**
+     * Check whether requests authenticate with the API key
+     * A key without a password is used right away; with both, the key is
+     * only used once the server advertises apiKeyAuthentication.
+     * @returns {boolean}
+     */
+    usesApiKey() {
+        return Boolean(this.apiKey) && (!this.password || this.supports('apiKeyAuthentication'));
+    }
+
+    /**
+     * Build authentication and request parameters
      * @param {Object} params - Additional parameters
-     * @returns {Promise<string>} Full API URL
+     * @returns {Promise<URLSearchParams>}
      */
-    async buildUrl(endpoint, params = {}) {
-        if (!this.token) {
-            await this.generateToken();
+    async buildParams(params = {}) {
+        const searchParams = new URLSearchParams();
+
+        // Add authentication parameters
+        if (this.usesApiKey()) {
+            searchParams.set('apiKey', this.apiKey);
+        } else {
+            if (!this.token) {
+                await this.generateToken();
+            }
+            searchParams.set('u', this.username);
+            searchParams.set('t', this.token);
+            searchParams.set('s', this.salt);
         }
 
-        const url = new URL(`${this.serverUrl}/rest/${endpoint}`);
-        
         // Add common parameters
-        url.searchParams.set('u', this.username);
-        url.searchParams.set('t', this.token);
-        url.searchParams.set('s', this.salt);
-        url.searchParams.set('v', API_VERSION);
-        url.searchParams.set('c', CLIENT_NAME);
-        url.searchParams.set('f', 'json');
-
-        // Add additional parameters
+        searchParams.set('v', this.apiVersion);
+        searchParams.set('c', CLIENT_NAME);
+        searchParams.set('f', 'json');
+
+        // Add additional parameters (arrays become repeated parameters)
         for (const [key, value] of Object.entries(params)) {
-            if (value !== undefined && value !== null) {
-                url.searchParams.set(key, value);
+            if (Array.isArray(value)) {
+                value.forEach(v => searchParams.append(key, v));
+            } else if (value !== undefined && value !== null) {
+                searchParams.set(key, value);
             }
         }
 
+        return searchParams;
+    }
+
+    /**
+     * Build API URL with authentication parameters
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Additional parameters
+     * @returns {Promise<string>} Full API URL
+     */
+    async buildUrl(endpoint, params = {}) {
+        const url = new URL(`${this.serverUrl}/rest/${endpoint}`);
+        url.search = (await this.buildParams(params)).toString();
         return url.toString();
     }
 
     /**
      * Make API request
+     * Uses a POST form body when the server supports formPost, so
+     * credentials do not end up in URLs and server logs. Idempotent
+     * calls are retried with exponential backoff on network errors,
+     * timeouts and 5xx responses.
      * @param {string} endpoint - API endpoint
      * @param {Object} params - Additional parameters
+     * @param {Object} options - Request options
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @param {number} options.timeout - Timeout in ms (0 disables it)
+     * @param {number} options.retries - Retry count (defaults to the client setting for idempotent calls, 0 otherwise)
      * @returns {Promise<Object>} API response
      */
-    async request(endpoint, params = {}) {
-        const url = await this.buildUrl(endpoint, params);
-        
+    async request(endpoint, params = {}, options = {}) {
+        const retries = options.retries ?? (isIdempotent(endpoint) ? this.retries : 0);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._send(endpoint, params, options);
+            } catch (error) {
+                if (attempt >= retries || !isRetryable(error)) {
+                    if (!isAbortError(error)) {
+                        console.error('Subsonic API error:', error);
+                    }
+                    throw error;
+                }
+                await sleep(this.retryDelay * 2 ** attempt, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Send a single API request
+     * @param {string} endpoint - API endpoint
+     * @param {Object} params - Additional parameters
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} API response
+     */
+    async _send(endpoint, params, { signal, timeout = this.timeout } = {}) {
+        let url;
+        let init = {};
+        if (this.supports('formPost')) {
+            url = `${this.serverUrl}/rest/${endpoint}`;
+            init = { method: 'POST', body: await this.buildParams(params) };
+        } else {
+            url = await this.buildUrl(endpoint, params);
+        }
+
+        // Combine the caller's signal with our own timeout
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        const onAbort = () => controller.abort();
+        if (signal?.aborted) {
+            controller.abort();
+        } else {
+            signal?.addEventListener('abort', onAbort, { once: true });
+        }
+
         try {
-            const response = await fetch(url);
+            const response = await fetch(url, { ...init, signal: controller.signal });
             
             if (!response.ok) {
-                throw new Error(`HTTP error: ${response.status}`);
+                throw new SubsonicError(`HTTP error: ${response.status}`, {
+                    status: response.status,
+                    endpoint
+                });
             }
 
             const data = await response.json();
             
             if (data['subsonic-response']?.status === 'failed') {
                 const error = data['subsonic-response'].error;
-                throw new Error(error?.message || 'Unknown API error');
+                throw new SubsonicError(error?.message || 'Unknown API error', {
+                    code: error?.code ?? SubsonicError.GENERIC,
+                    status: response.status,
+                    endpoint
+                });
             }
 
             return data['subsonic-response'];
         } catch (error) {
-            console.error('Subsonic API error:', error);
-            throw error;
+            if (timedOut) {
+                throw new SubsonicError(`Request timed out after ${timeout} ms`, {
+                    endpoint,
+                    timeout: true,
+                    cause: error
+                });
+            }
+            if (error instanceof SubsonicError || isAbortError(error)) {
+                throw error;
+            }
+            throw new SubsonicError(`Network error: ${error.message}`, { endpoint, cause: error });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
         }
     }
 
     /**
      * Ping server to test connection
+     * Also discovers the OpenSubsonic extensions the server supports.
      * @returns {Promise<boolean>} True if connection successful
      */
     async ping() {
         const response = await this.request('ping');
-        return response?.status === 'ok';
+        const ok = response?.status === 'ok';
+
+        if (ok) {
+            this.openSubsonic = response.openSubsonic === true;
+            this.serverType = response.type || null;
+            this.serverVersion = response.serverVersion || null;
+            // Never claim a newer protocol version than the server speaks
+            if (response.version && compareVersions(response.version, API_VERSION) < 0) {
+                this.apiVersion = response.version;
+            }
+            if (this.openSubsonic) {
+                await this.loadExtensions();
+            }
+        }
+
+        return ok;
+    }
+
+    /**
+     * Get the OpenSubsonic extensions supported by the server
+     * @returns {Promise<Array>} Extensions ({ name, versions })
+     */
+    async getOpenSubsonicExtensions() {
+        const response = await this.request('getOpenSubsonicExtensions');
+        return response?.openSubsonicExtensions || [];
+    }
+
+    /**
+     * Refresh the capability map from the server
+     * Failures leave the map empty so features fall back to plain Subsonic.
+     * @returns {Promise<Map>} Extension name -> supported versions
+     */
+    async loadExtensions() {
+        try {
+            const extensions = await this.getOpenSubsonicExtensions();
+            this.extensions = new Map(extensions.map(ext => [ext.name, ext.versions || []]));
+        } catch (error) {
+            console.warn('Failed to load OpenSubsonic extensions:', error);
+            this.extensions = new Map();
+        }
+        return this.extensions;
     }
 
     /**
      * Get all artists
+     * @param {Object} options - Options
+     * @param {string} options.musicFolderId - Only artists in this music folder
+     * @param {AbortSignal} options.signal - Signal to cancel the request
      * @returns {Promise<Array>} List of artists
      */
-    async getArtists() {
-        const response = await this.request('getArtists');
+    async getArtists(options = {}) {
+        const response = await this.request('getArtists', {
+            musicFolderId: options.musicFolderId
+        }, { signal: options.signal });
         return response?.artists?.index || [];
     }
 
+    /**
+     * Get artist indexes
+     * @param {Object} options - Options
+     * @param {number} options.ifModifiedSince - Only return indexes if the collection changed since this time (ms)
+     * @param {string} options.musicFolderId - Only this music folder
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @returns {Promise<Object>} Indexes ({ lastModified, index: [{ name, artist }], child })
+     */
+    async getIndexes(options = {}) {
+        const response = await this.request('getIndexes', {
+            ifModifiedSince: options.ifModifiedSince,
+            musicFolderId: options.musicFolderId
+        }, { signal: options.signal });
+        return response?.indexes || {};
+    }
+
+    /**
+     * Get the contents of a directory in the file structure
+     * @param {string} id - Directory ID (from getIndexes or a parent directory)
+     * @param {Object} options - Request options ({ signal })
+     * @returns {Promise<Object>} Directory ({ id, name, parent, child }); children with isDir are subdirectories
+     */
+    async getMusicDirectory(id, options = {}) {
+        const response = await this.request('getMusicDirectory', { id }, options);
+        return response?.directory;
+    }
+
     /**
      * Get all albums
      * @param {Object} options - Options
-     * @param {string} options.type - Album list type (random, newest, highest, frequent, recent, alphabeticalByName, alphabeticalByArtist, starred)
+     * @param {string} options.type - Album list type (random, newest, highest, frequent, recent, alphabeticalByName, alphabeticalByArtist, starred, byYear, byGenre)
      * @param {number} options.size - Number of albums to return
      * @param {number} options.offset - Offset for pagination
+     * @param {number} options.fromYear - First year (byYear)
+     * @param {number} options.toYear - Last year (byYear)
+     * @param {string} options.genre - Genre (byGenre)
+     * @param {string} options.musicFolderId - Only albums in this music folder
+     * @param {AbortSignal} options.signal - Signal to cancel the request
      * @returns {Promise<Array>} List of albums
      */
     async getAlbumList(options = {}) {
         const response = await this.request('getAlbumList2', {
             type: options.type || 'alphabeticalByArtist',
             size: options.size || 500,
-            offset: options.offset || 0
-        });
+            offset: options.offset || 0,
+            fromYear: options.fromYear,
+            toYear: options.toYear,
+            genre: options.genre,
+            musicFolderId: options.musicFolderId
+        }, { signal: options.signal });
         return response?.albumList2?.album || [];
     }
 
     /**
      * Get album details
      * @param {string} id - Album ID
+     * @param {Object} options - Request options ({ signal })
      * @returns {Promise<Object>} Album details with songs
      */
-    async getAlbum(id) {
-        const response = await this.request('getAlbum', { id });
+    async getAlbum(id, options = {}) {
+        const response = await this.request('getAlbum', { id }, options);
         return response?.album;
     }
 
     /**
      * Get artist details
      * @param {string} id - Artist ID
+     * @param {Object} options - Request options ({ signal })
      * @returns {Promise<Object>} Artist details
      */
-    async getArtist(id) {
-        const response = await this.request('getArtist', { id });
+    async getArtist(id, options = {}) {
+        const response = await this.request('getArtist', { id }, options);
         return response?.artist;
     }
 
+    /**
+     * Get an artist's biography, images and similar artists
+     * @param {string} id - Artist ID
+     * @param {Object} options - Options
+     * @param {number} options.count - Maximum number of similar artists
+     * @param {boolean} options.includeNotPresent - Include similar artists missing from the library
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @returns {Promise<Object>} Artist info ({ biography, lastFmUrl, largeImageUrl, similarArtist, ... })
+     */
+    async getArtistInfo2(id, options = {}) {
+        const response = await this.request('getArtistInfo2', {
+            id,
+            count: options.count,
+            includeNotPresent: options.includeNotPresent
+        }, { signal: options.signal });
+        return response?.artistInfo2 || {};
+    }
+
+    /**
+     * Get an album's notes and images
+     * @param {string} id - Album ID
+     * @param {Object} options - Request options ({ signal })
+     * @returns {Promise<Object>} Album info ({ notes, lastFmUrl, largeImageUrl, ... })
+     */
+    async getAlbumInfo2(id, options = {}) {
+        const response = await this.request('getAlbumInfo2', { id }, options);
+        return response?.albumInfo || {};
+    }
+
+    /**
+     * Get the most popular songs of an artist (from Last.fm)
+     * @param {string} artist - Artist name
+     * @param {Object} options - Options
+     * @param {number} options.count - Maximum number of songs
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @returns {Promise<Array>} Songs
+     */
+    async getTopSongs(artist, options = {}) {
+        const response = await this.request('getTopSongs', {
+            artist,
+            count: options.count
+        }, { signal: options.signal });
+        return response?.topSongs?.song || [];
+    }
+
+    /**
+     * Get songs similar to an artist, album or song
+     * @param {string} id - Artist, album or song ID
+     * @param {Object} options - Options
+     * @param {number} options.count - Maximum number of songs
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @returns {Promise<Array>} Songs
+     */
+    async getSimilarSongs2(id, options = {}) {
+        const response = await this.request('getSimilarSongs2', {
+            id,
+            count: options.count
+        }, { signal: options.signal });
+        return response?.similarSongs2?.song || [];
+    }
+
     /**
      * Search for music
      * @param {string} query - Search query
@@ -374,8 +785,9 @@ export class SubsonicClient {
             query,
             artistCount: options.artistCount || 20,
             albumCount: options.albumCount || 20,
-            songCount: options.songCount || 50
-        });
+            songCount: options.songCount || 50,
+            musicFolderId: options.musicFolderId
+        }, { signal: options.signal });
         return response?.searchResult3 || {};
     }
 
@@ -391,24 +803,203 @@ export class SubsonicClient {
     /**
      * Get playlist details
      * @param {string} id - Playlist ID
+     * @param {Object} options - Request options ({ signal })
      * @returns {Promise<Object>} Playlist with songs
      */
-    async getPlaylist(id) {
-        const response = await this.request('getPlaylist', { id });
+    async getPlaylist(id, options = {}) {
+        const response = await this.request('getPlaylist', { id }, options);
+        return response?.playlist;
+    }
+
+    /**
+     * Create a playlist
+     * @param {string} name - Playlist name
+     * @param {Array<string>} songIds - Songs in the playlist
+     * @returns {Promise<Object>} Created playlist
+     */
+    async createPlaylist(name, songIds = []) {
+        const response = await this.request('createPlaylist', { name, songId: songIds });
+        return response?.playlist;
+    }
+
+    /**
+     * Replace all songs of an existing playlist
+     * Subsonic has no reorder call, so reordering rewrites the song list.
+     * @param {string} id - Playlist ID
+     * @param {Array<string>} songIds - Songs in their new order
+     * @returns {Promise<Object>} Updated playlist
+     */
+    async replacePlaylistSongs(id, songIds) {
+        const response = await this.request('createPlaylist', { playlistId: id, songId: songIds });
         return response?.playlist;
     }
 
+    /**
+     * Update a playlist
+     * @param {string} id - Playlist ID
+     * @param {Object} changes - Changes to apply
+     * @param {string} changes.name - New name
+     * @param {string} changes.comment - New comment
+     * @param {boolean} changes.public - Whether the playlist is visible to other users
+     * @param {Array<string>} changes.songIdsToAdd - Songs to append
+     * @param {Array<number>} changes.songIndexesToRemove - Positions to remove
+     * @returns {Promise<boolean>} Success
+     */
+    async updatePlaylist(id, changes = {}) {
+        await this.request('updatePlaylist', {
+            playlistId: id,
+            name: changes.name,
+            comment: changes.comment,
+            public: changes.public,
+            songIdToAdd: changes.songIdsToAdd,
+            songIndexToRemove: changes.songIndexesToRemove
+        });
+        return true;
+    }
+
+    /**
+     * Delete a playlist
+     * @param {string} id - Playlist ID
+     * @returns {Promise<boolean>} Success
+     */
+    async deletePlaylist(id) {
+        await this.request('deletePlaylist', { id });
+        return true;
+    }
+
+    /**
+     * Get the user's shares
+     * @returns {Promise<Array>} Shares ({ id, url, description, created, expires, visitCount, entry, ... })
+     */
+    async getShares() {
+        const response = await this.request('getShares');
+        return response?.shares?.share || [];
+    }
+
+    /**
+     * Create a public link to songs, albums or playlists
+     * @param {string|Array<string>} ids - IDs of the shared items
+     * @param {Object} options - Options
+     * @param {string} options.description - Description shown to visitors (optional)
+     * @param {number} options.expires - Expiry time in ms since the epoch (optional)
+     * @returns {Promise<Object>} The new share ({ id, url, ... })
+     */
+    async createShare(ids, options = {}) {
+        const response = await this.request('createShare', {
+            id: ids,
+            description: options.description,
+            expires: options.expires
+        });
+        return response?.shares?.share?.[0];
+    }
+
+    /**
+     * Update the description or expiry of a share
+     * @param {string} id - Share ID
+     * @param {Object} changes - Changes
+     * @param {string} changes.description - New description
+     * @param {number} changes.expires - New expiry time in ms since the epoch, or 0 to never expire
+     * @returns {Promise<boolean>} Success
+     */
+    async updateShare(id, { description, expires }) {
+        await this.request('updateShare', { id, description, expires });
+        return true;
+    }
+
+    /**
+     * Delete a share
+     * @param {string} id - Share ID
+     * @returns {Promise<boolean>} Success
+     */
+    async deleteShare(id) {
+        await this.request('deleteShare', { id });
+        return true;
+    }
+
+    /**
+     * Get the play queue saved by any client of this user
+     * @returns {Promise<Object|null>} Play queue ({ entry, current, position, changed, changedBy })
+     */
+    async getPlayQueue() {
+        const response = await this.request('getPlayQueue');
+        return response?.playQueue || null;
+    }
+
+    /**
+     * Save the play queue so it can be resumed on another device
+     * @param {Array<string>} ids - Song IDs in queue order
+     * @param {string} current - ID of the playing song
+     * @param {number} position - Position in the playing song (ms)
+     * @returns {Promise<boolean>} Success
+     */
+    async savePlayQueue(ids, current, position = 0) {
+        await this.request('savePlayQueue', { id: ids, current, position: Math.floor(position) });
+        return true;
+    }
+
+    /**
+     * Get the saved play queue with the current entry given by index
+     * Requires the OpenSubsonic indexBasedQueue extension.
+     * @returns {Promise<Object|null>} Play queue ({ entry, currentIndex, position, changed, changedBy })
+     */
+    async getPlayQueueByIndex() {
+        const response = await this.request('getPlayQueueByIndex');
+        return response?.playQueueByIndex || null;
+    }
+
+    /**
+     * Save the play queue with the current entry given by index
+     * Unlike savePlayQueue, this keeps duplicate songs apart.
+     * Requires the OpenSubsonic indexBasedQueue extension.
+     * @param {Array<string>} ids - Song IDs in queue order
+     * @param {number} currentIndex - Index of the playing entry
+     * @param {number} position - Position in the playing song (ms)
+     * @returns {Promise<boolean>} Success
+     */
+    async savePlayQueueByIndex(ids, currentIndex, position = 0) {
+        await this.request('savePlayQueueByIndex', {
+            id: ids,
+            currentIndex: ids.length > 0 ? currentIndex : undefined,
+            position: Math.floor(position)
+        });
+        return true;
+    }
+
+    /**
+     * Control the server's own audio output (jukebox mode)
+     * Needs the jukebox role and jukebox support enabled on the server.
+     * @param {string} action - get, status, set, start, stop, skip, add, clear, remove, shuffle or setGain
+     * @param {Object} options - Action parameters
+     * @param {Array<string>} options.ids - Song IDs (set, add)
+     * @param {number} options.index - Playlist index (skip, remove)
+     * @param {number} options.offset - Start position in seconds (skip)
+     * @param {number} options.gain - Volume between 0 and 1 (setGain)
+     * @returns {Promise<Object>} Jukebox status ({ currentIndex, playing, gain, position });
+     *   'get' adds the playlist songs in `entry`
+     */
+    async jukeboxControl(action, { ids, index, offset, gain } = {}) {
+        const readOnly = action === 'get' || action === 'status';
+        const response = await this.request('jukeboxControl', { action, id: ids, index, offset, gain },
+            { retries: readOnly ? this.retries : 0 });
+        return response.jukeboxPlaylist || response.jukeboxStatus || {};
+    }
+
     /**
      * Get stream URL for a song
      * @param {string} id - Song ID
      * @param {Object} options - Stream options
+     * @param {number} options.maxBitRate - Bitrate limit in kbps (transcodes above it)
+     * @param {string} options.format - Target format (e.g. 'mp3', 'opus'; 'raw' for the original)
+     * @param {number} options.timeOffset - Start this many seconds in; audio needs
+     *   the OpenSubsonic transcodeOffset extension
      * @returns {Promise<string>} Stream URL
      */
     async getStreamUrl(id, options = {}) {
         return this.buildUrl('stream', {
             id,
             maxBitRate: options.maxBitRate,
-            format: options.format
+            format: options.format,
+            timeOffset: options.timeOffset
         });
     }
 
@@ -479,17 +1070,212 @@ export class SubsonicClient {
         return true;
     }
 
+    /**
+     * Set the rating of an item
+     * @param {string} id - Song, album or artist ID
+     * @param {number} rating - 1 to 5, or 0 to remove the rating
+     * @returns {Promise<boolean>} Success
+     */
+    async setRating(id, rating) {
+        await this.request('setRating', { id, rating });
+        return true;
+    }
+
     /**
      * Scrobble a song (report playback)
-     * @param {string} id - Song ID
+     * @param {string|Array<string>} id - Song ID, or several for a batch of submissions
      * @param {boolean} submission - True for scrobble, false for now playing
+     * @param {number|Array<number>} time - When playback started (ms since the epoch),
+     *   one per ID; defaults to now on the server
      * @returns {Promise<boolean>} Success
      */
-    async scrobble(id, submission = true) {
-        await this.request('scrobble', { id, submission });
+    async scrobble(id, submission = true, time) {
+        await this.request('scrobble', { id, submission, time });
         return true;
     }
 
+    /**
+     * Get lyrics by artist and title
+     * Older servers often return embedded LRC text in the value.
+     * @param {string} artist - Artist name
+     * @param {string} title - Song title
+     * @returns {Promise<Object|null>} Lyrics ({ artist, title, value })
+     */
+    async getLyrics(artist, title) {
+        const response = await this.request('getLyrics', { artist, title });
+        return response?.lyrics?.value ? response.lyrics : null;
+    }
+
+    /**
+     * Get structured lyrics for a song
+     * Requires the OpenSubsonic songLyrics extension.
+     * @param {string} id - Song ID
+     * @returns {Promise<Array>} Structured lyrics ({ lang, synced, offset, line })
+     */
+    async getLyricsBySongId(id) {
+        const response = await this.request('getLyricsBySongId', { id });
+        return response?.lyricsList?.structuredLyrics || [];
+    }
+
+    /**
+     * Get internet radio stations
+     * @returns {Promise<Array>} Stations ({ id, name, streamUrl, homePageUrl })
+     */
+    async getInternetRadioStations() {
+        const response = await this.request('getInternetRadioStations');
+        return response?.internetRadioStations?.internetRadioStation || [];
+    }
+
+    /**
+     * Add an internet radio station (admin only)
+     * @param {Object} station - Station details
+     * @param {string} station.streamUrl - Stream URL
+     * @param {string} station.name - Station name
+     * @param {string} station.homepageUrl - Home page URL (optional)
+     * @returns {Promise<boolean>} Success
+     */
+    async createInternetRadioStation({ streamUrl, name, homepageUrl }) {
+        await this.request('createInternetRadioStation', { streamUrl, name, homepageUrl });
+        return true;
+    }
+
+    /**
+     * Update an internet radio station (admin only)
+     * @param {string} id - Station ID
+     * @param {Object} station - Station details ({ streamUrl, name, homepageUrl })
+     * @returns {Promise<boolean>} Success
+     */
+    async updateInternetRadioStation(id, { streamUrl, name, homepageUrl }) {
+        await this.request('updateInternetRadioStation', { id, streamUrl, name, homepageUrl });
+        return true;
+    }
+
+    /**
+     * Delete an internet radio station (admin only)
+     * @param {string} id - Station ID
+     * @returns {Promise<boolean>} Success
+     */
+    async deleteInternetRadioStation(id) {
+        await this.request('deleteInternetRadioStation', { id });
+        return true;
+    }
+
+    /**
+     * Get podcast channels
+     * @param {Object} options - Options
+     * @param {string} options.id - Only return this channel
+     * @param {boolean} options.includeEpisodes - Include episodes (default true)
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @returns {Promise<Array>} Channels, each with an episode list
+     */
+    async getPodcasts(options = {}) {
+        const response = await this.request('getPodcasts', {
+            id: options.id,
+            includeEpisodes: options.includeEpisodes ?? true
+        }, { signal: options.signal });
+        return response?.podcasts?.channel || [];
+    }
+
+    /**
+     * Get the most recently published podcast episodes
+     * @param {number} count - Number of episodes
+     * @returns {Promise<Array>} Episodes
+     */
+    async getNewestPodcasts(count = 20) {
+        const response = await this.request('getNewestPodcasts', { count });
+        return response?.newestPodcasts?.episode || [];
+    }
+
+    /**
+     * Ask the server to check all channels for new episodes (admin or podcast role)
+     * @returns {Promise<boolean>} Success
+     */
+    async refreshPodcasts() {
+        await this.request('refreshPodcasts');
+        return true;
+    }
+
+    /**
+     * Subscribe to a podcast
+     * @param {string} url - Feed URL
+     * @returns {Promise<boolean>} Success
+     */
+    async createPodcastChannel(url) {
+        await this.request('createPodcastChannel', { url });
+        return true;
+    }
+
+    /**
+     * Unsubscribe from a podcast and delete its episodes
+     * @param {string} id - Channel ID
+     * @returns {Promise<boolean>} Success
+     */
+    async deletePodcastChannel(id) {
+        await this.request('deletePodcastChannel', { id });
+        return true;
+    }
+
+    /**
+     * Ask the server to download an episode
+     * @param {string} id - Episode ID
+     * @returns {Promise<boolean>} Success
+     */
+    async downloadPodcastEpisode(id) {
+        await this.request('downloadPodcastEpisode', { id });
+        return true;
+    }
+
+    /**
+     * Delete a downloaded episode from the server
+     * @param {string} id - Episode ID
+     * @returns {Promise<boolean>} Success
+     */
+    async deletePodcastEpisode(id) {
+        await this.request('deletePodcastEpisode', { id });
+        return true;
+    }
+
+    /**
+     * Get the user's bookmarks
+     * @returns {Promise<Array>} Bookmarks ({ position (ms), comment, created, changed, entry })
+     */
+    async getBookmarks() {
+        const response = await this.request('getBookmarks');
+        return response?.bookmarks?.bookmark || [];
+    }
+
+    /**
+     * Create or update the bookmark of a song (one bookmark per song and user)
+     * @param {string} id - Song ID
+     * @param {number} position - Position in milliseconds
+     * @param {string} comment - Comment (optional)
+     * @returns {Promise<boolean>} Success
+     */
+    async createBookmark(id, position, comment) {
+        await this.request('createBookmark', { id, position: Math.floor(position), comment });
+        return true;
+    }
+
+    /**
+     * Delete the bookmark of a song
+     * @param {string} id - Song ID
+     * @returns {Promise<boolean>} Success
+     */
+    async deleteBookmark(id) {
+        await this.request('deleteBookmark', { id });
+        return true;
+    }
+
+    /**
+     * Get details and roles of a user
+     * @param {string} username - Username
+     * @returns {Promise<Object>} User ({ username, adminRole, ... })
+     */
+    async getUser(username) {
+        const response = await this.request('getUser', { username });
+        return response?.user;
+    }
+
     /**
      * Get music folders
      * @returns {Promise<Array>} Music folders
@@ -501,10 +1287,11 @@ export class SubsonicClient {
 
     /**
      * Get genres
-     * @returns {Promise<Array>} List of genres
+     * @param {Object} options - Request options ({ signal })
+     * @returns {Promise<Array>} List of genres ({ value, songCount, albumCount })
      */
-    async getGenres() {
-        const response = await this.request('getGenres');
+    async getGenres(options = {}) {
+        const response = await this.request('getGenres', {}, options);
         return response?.genres?.genre || [];
     }
 
@@ -518,7 +1305,8 @@ export class SubsonicClient {
         const response = await this.request('getSongsByGenre', {
             genre,
             count: options.count || 50,
-            offset: options.offset || 0
+            offset: options.offset || 0,
+            musicFolderId: options.musicFolderId
         });
         return response?.songsByGenre?.song || [];
     }
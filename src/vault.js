@@ -0,0 +1,129 @@
+/**
+ * Credential Vault Module
+ * Encrypts secrets with a master passphrase using Web Crypto:
+ * PBKDF2 derives an AES-GCM key, and every write uses a fresh IV
+ */
+
+// Constants
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // Recommended nonce size for AES-GCM
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Check whether the browser can encrypt (Web Crypto needs a secure context)
+ * @returns {boolean}
+ */
+export function isVaultSupported() {
+    return Boolean(globalThis.crypto?.subtle);
+}
+
+export class Vault {
+    /**
+     * Create a vault from an existing key
+     * Use Vault.create() or Vault.open() instead of calling this directly.
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {string} salt - PBKDF2 salt (base64)
+     * @param {number} iterations - PBKDF2 iterations
+     */
+    constructor(key, salt, iterations) {
+        this.key = key;
+        this.salt = salt;
+        this.iterations = iterations;
+    }
+
+    /**
+     * Derive the AES-GCM key from a passphrase
+     * @param {string} passphrase
+     * @param {string} salt - base64
+     * @param {number} iterations
+     * @returns {Promise<CryptoKey>}
+     */
+    static async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Create a vault with a new passphrase
+     * @param {string} passphrase
+     * @returns {Promise<Vault>}
+     */
+    static async create(passphrase) {
+        const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+        const key = await Vault.deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        return new Vault(key, salt, PBKDF2_ITERATIONS);
+    }
+
+    /**
+     * Open stored secrets with a passphrase
+     * @param {string} passphrase
+     * @param {Object} sealed - Output of seal()
+     * @returns {Promise<{vault: Vault, value: *}>} The vault and the decrypted value
+     * @throws {Error} If the passphrase is wrong or the data was altered
+     */
+    static async open(passphrase, sealed) {
+        const key = await Vault.deriveKey(passphrase, sealed.salt, sealed.iterations);
+        const vault = new Vault(key, sealed.salt, sealed.iterations);
+        return { vault, value: await vault.unseal(sealed) };
+    }
+
+    /**
+     * Encrypt a JSON value
+     * @param {*} value
+     * @returns {Promise<Object>} { salt, iterations, iv, data } - safe to store
+     */
+    async seal(value) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, this.key, new TextEncoder().encode(JSON.stringify(value)));
+        return {
+            salt: this.salt,
+            iterations: this.iterations,
+            iv: toBase64(iv),
+            data: toBase64(new Uint8Array(data))
+        };
+    }
+
+    /**
+     * Decrypt a value sealed with this vault's key
+     * @param {Object} sealed - Output of seal()
+     * @returns {Promise<*>}
+     * @throws {Error} If the key is wrong or the data was altered
+     */
+    async unseal(sealed) {
+        try {
+            const data = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(sealed.iv) }, this.key, fromBase64(sealed.data));
+            return JSON.parse(new TextDecoder().decode(data));
+        } catch {
+            // AES-GCM fails the same way for a wrong key and for tampered data
+            throw new Error('Wrong passphrase');
+        }
+    }
+}
+
+export default Vault;